@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+// scripts/cli.js
+import 'dotenv/config.js';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { decodeJwt, decodeProtectedHeader } from 'jose';
+import { loadSettings, setup, runFlow, runListener, runReprocess, searchEncounters, requestToken, serveJwks, trackSubmissions } from './ecr_flow_node.js';
+import { addKeyToStore, retireKeyFromStore, encryptKeyStore, readJwks, KEY_ALGS } from '../utils/keys.js';
+import { openLedger } from '../utils/ledger.js';
+import { openEcrStatusLog } from '../utils/ecrStatus.js';
+import { readTargetsFile } from '../utils/targets.js';
+import { maskConfig } from '../utils/config.js';
+import { CONFIG_SCHEMA } from '../utils/configSchema.js';
+import { logger } from '../utils/logger.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+
+const USAGE = `Usage: ecrnow <command> [options]
+
+Commands:
+  keygen    Add a signing key to the key store and print the JWKS to register
+  jwks      Serve the key store's public keys over HTTP until stopped (for jku / JWKS URL registration)
+  token     Test FHIR or eCRNow auth and print the token's claims
+  search    Run the encounter query and print or export the results (nothing is submitted)
+  launch    Submit encounters to eCRNow /api/launchPatient
+  notify    Submit encounters to eCRNow receive-notification
+  listen    Register a FHIR Subscription and submit encounters as the server reports them ending
+  reprocess Resend specific encounters / patients' encounters (ids or a CSV), no date window
+  track     Check eCRNow for the eICR / RR of earlier submissions that are not final yet
+  status    Show the latest submission per encounter from the ledger
+  config    Print the resolved configuration (secrets masked)
+
+Common options:
+  --config <file>       Config file (default CONFIG_FILE or ./ecrnow.config.{json,yaml,yml})
+  --profile <name>      Profile in the config file (default CONFIG_PROFILE)
+  --tenant <names>      Only these tenants, CSV (default TENANT)
+  --log-level <level>   debug | info | warn | error
+  -h, --help            Show help for a command
+
+keygen:   --alg <${KEY_ALGS.join('|')}> (default ${KEY_ALGS[0]})  --kid <id>  --keys-dir <dir> (default KEYS_DIR)
+          --list  --retire <kid>  --encrypt (encrypt the store's plain keys with KEY_PASSPHRASE)
+jwks:     --host <addr> --port <n> --path <path> (default JWKS_HOST, JWKS_PORT, JWKS_PATH)
+token:    --target <fhir|ecrnow>  (FHIR uses the first tenant unless --tenant is given)
+search:   --start <date> --end <date> --date-field <param> --source <csv>
+          --patient <id> --encounter <id> (repeatable or CSV)
+          --format <table|json|ndjson> --out <file>
+launch / notify:
+          --start --end --date-field --source --patient --encounter (as for search)
+          --dry-run  --force  --every <interval>  --once
+listen:   --flow <launch|notify> (default FLOW_MODE)  --dry-run  --force
+reprocess:
+          --encounter <id> --patient <id> (repeatable or CSV)  --file <csv>
+          --flow <launch|notify>  --validation-mode <v> --throttle-context <v> (defaults for every row)
+          --start --end --date-field (window for patient targets)  --dry-run  --skip-sent
+track:    --wait <seconds> (default ECR_STATUS_WAIT_SECONDS)  --json
+status:   --encounter <id>  --flow <launch|notify>  --failed  --json
+
+Exit codes: 0 ok, 1 error, 2 bad usage or configuration, 3 some encounters or tenants failed.
+`;
+
+const COMMON = {
+  config: { type: 'string' },
+  profile: { type: 'string' },
+  tenant: { type: 'string' },
+  'log-level': { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const SELECTION = {
+  start: { type: 'string' },
+  end: { type: 'string' },
+  'date-field': { type: 'string' },
+  source: { type: 'string' },
+  patient: { type: 'string', multiple: true },
+  encounter: { type: 'string', multiple: true }
+};
+
+const COMMANDS = {
+  keygen: {
+    options: { alg: { type: 'string' }, kid: { type: 'string' }, 'keys-dir': { type: 'string' }, list: { type: 'boolean' }, retire: { type: 'string' }, encrypt: { type: 'boolean' } },
+    run: keygen
+  },
+  jwks: { options: { host: { type: 'string' }, port: { type: 'string' }, path: { type: 'string' } }, run: jwks },
+  token: { options: { target: { type: 'string' } }, run: token },
+  search: { options: { ...SELECTION, format: { type: 'string' }, out: { type: 'string' } }, run: search },
+  launch: { options: { ...SELECTION, 'dry-run': { type: 'boolean' }, force: { type: 'boolean' }, every: { type: 'string' }, once: { type: 'boolean' } }, run: opts => submit('launch', opts) },
+  notify: { options: { ...SELECTION, 'dry-run': { type: 'boolean' }, force: { type: 'boolean' }, every: { type: 'string' }, once: { type: 'boolean' } }, run: opts => submit('notify', opts) },
+  listen: { options: { flow: { type: 'string' }, 'dry-run': { type: 'boolean' }, force: { type: 'boolean' } }, run: listenCommand },
+  reprocess: {
+    options: {
+      encounter: { type: 'string', multiple: true },
+      patient: { type: 'string', multiple: true },
+      file: { type: 'string' },
+      flow: { type: 'string' },
+      'validation-mode': { type: 'string' },
+      'throttle-context': { type: 'string' },
+      start: { type: 'string' },
+      end: { type: 'string' },
+      'date-field': { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      'skip-sent': { type: 'boolean' }
+    },
+    run: reprocess
+  },
+  track: { options: { wait: { type: 'string' }, json: { type: 'boolean' } }, run: track },
+  status: { options: { encounter: { type: 'string' }, flow: { type: 'string' }, failed: { type: 'boolean' }, json: { type: 'boolean' } }, run: status },
+  config: { options: {}, run: printConfig }
+};
+
+class UsageError extends Error {}
+
+// ---------- helpers ----------
+function csvFlag(values) {
+  return values?.flatMap(v => v.split(',')).map(s => s.trim()).filter(Boolean) ?? [];
+}
+
+// Per-run flags become config overrides (they beat file, profile, env and tenant values).
+function selectionOverrides(opts) {
+  const o = {};
+  if (opts.start) o.START_DATE = opts.start;
+  if (opts.end) o.END_DATE = opts.end;
+  if (opts['date-field']) o.DATE_FIELD = opts['date-field'];
+  const patients = csvFlag(opts.patient);
+  const encounters = csvFlag(opts.encounter);
+  if (patients.length) Object.assign(o, { PATIENT_IDS: patients.join(','), PATIENT_IDS_FILE: null });
+  if (encounters.length) Object.assign(o, { ENCOUNTER_IDS: encounters.join(','), ENCOUNTER_IDS_FILE: null });
+  if (opts.source) {
+    o.ENCOUNTER_SOURCE = opts.source;
+  } else if (patients.length || encounters.length) {
+    // explicit ids replace the configured query
+    o.ENCOUNTER_SOURCE = [encounters.length && 'ids', patients.length && 'patients'].filter(Boolean).join(',');
+    o.ENCOUNTER_SOURCE_COMBINE = 'union';
+  }
+  return o;
+}
+
+function commonOverrides(opts) {
+  return opts['log-level'] ? { LOG_LEVEL: opts['log-level'] } : {};
+}
+
+// `quiet` commands only log warnings unless --log-level says otherwise.
+function load(opts, { overrides = {}, validate = true, allToStderr = true, quiet = false } = {}) {
+  const loaded = loadSettings({
+    file: opts.config ?? process.env.CONFIG_FILE,
+    profile: opts.profile ?? process.env.CONFIG_PROFILE,
+    tenant: opts.tenant ?? process.env.TENANT,
+    overrides: { ...(quiet ? { LOG_LEVEL: 'warn' } : {}), ...commonOverrides(opts), ...overrides },
+    validate
+  });
+  setup(loaded, { allToStderr });
+  return loaded;
+}
+
+function writeOutput(text, file) {
+  if (file) {
+    fs.writeFileSync(file, text);
+    logger.info('Written', { file });
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+function table(rows, columns) {
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => String(r[c] ?? '').length)));
+  const line = cells => cells.map((v, i) => String(v ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns), ...rows.map(r => line(columns.map(c => r[c])))].join('\n') + '\n';
+}
+
+// ---------- commands ----------
+async function keygen(opts) {
+  const alg = (opts.alg || KEY_ALGS[0]).toUpperCase();
+  if (!KEY_ALGS.includes(alg)) throw new UsageError(`--alg must be one of: ${KEY_ALGS.join(', ')}`);
+  // The store comes from --keys-dir, else the (first selected tenant's) KEYS_DIR setting;
+  // new keys are encrypted when that tenant has a KEY_PASSPHRASE.
+  const { config } = load(opts, { validate: false, quiet: true }).tenants[0];
+  const keysDir = opts['keys-dir'] ?? config.KEYS_DIR;
+  const passphrase = config.KEY_PASSPHRASE;
+
+  let jwks;
+  if (opts.list) {
+    jwks = readJwks(keysDir);
+  } else if (opts.encrypt) {
+    if (!passphrase) throw new UsageError('--encrypt needs KEY_PASSPHRASE (or KEY_PASSPHRASE_FILE)');
+    const kids = encryptKeyStore({ keysDir, passphrase });
+    process.stderr.write(kids.length ? `Encrypted ${kids.join(', ')} in ${keysDir}.\n` : `Every key in ${keysDir} is already encrypted.\n`);
+    return EXIT_CODES.OK;
+  } else if (opts.retire) {
+    ({ jwks } = retireKeyFromStore({ keysDir, kid: opts.retire }));
+    process.stderr.write(`Retired ${opts.retire} from ${keysDir}. Register the updated JWKS with the EHR:\n`);
+  } else {
+    const added = await addKeyToStore({ keysDir, alg, kid: opts.kid, passphrase });
+    jwks = added.jwks;
+    process.stderr.write(`Created ${added.privateKeyPath} (${added.encrypted ? 'encrypted' : 'KEEP SECRET'}), ${alg}, kid ${added.kid}. ` +
+      `${jwks.keys.length > 1 ? 'Existing keys were kept. ' : ''}Register this JWKS with the EHR:\n`);
+  }
+  process.stdout.write(JSON.stringify(jwks, null, 2) + '\n');
+  return EXIT_CODES.OK;
+}
+
+async function jwks(opts) {
+  const overrides = {};
+  if (opts.host) overrides.JWKS_HOST = opts.host;
+  if (opts.port) overrides.JWKS_PORT = opts.port;
+  if (opts.path) overrides.JWKS_PATH = opts.path;
+  load(opts, { overrides, validate: false });
+
+  const server = await serveJwks();
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await server.close();
+  logger.info('JWKS server stopped');
+  return EXIT_CODES.OK;
+}
+
+async function token(opts) {
+  const target = (opts.target || 'fhir').toLowerCase();
+  if (!['fhir', 'ecrnow'].includes(target)) throw new UsageError('--target must be fhir or ecrnow');
+  const loaded = load(opts, { validate: target === 'fhir' ? 'fhir' : true });
+  const tenant = target === 'fhir' ? loaded.tenants[0].name : undefined; // --tenant already narrowed the list
+
+  const body = await requestToken(target, tenant);
+  // Print what the token says, never the token itself.
+  const out = {
+    target,
+    tenant: loaded.hasTenants ? tenant : undefined,
+    token_type: body.token_type,
+    expires_in: body.expires_in,
+    scope: body.scope
+  };
+  try {
+    out.header = decodeProtectedHeader(body.access_token);
+    out.claims = decodeJwt(body.access_token);
+  } catch {
+    out.note = 'access_token is opaque (not a JWT); no claims to decode';
+  }
+  process.stdout.write(JSON.stringify(out, null, 2) + '\n');
+  return EXIT_CODES.OK;
+}
+
+async function search(opts) {
+  const format = opts.format || (opts.out?.endsWith('.ndjson') ? 'ndjson' : opts.out?.endsWith('.json') ? 'json' : 'table');
+  if (!['table', 'json', 'ndjson'].includes(format)) throw new UsageError('--format must be table, json or ndjson');
+  const loaded = load(opts, { overrides: selectionOverrides(opts), validate: 'fhir' });
+
+  const perTenant = await searchEncounters();
+  if (format === 'ndjson') {
+    const lines = perTenant.flatMap(t => t.encounters.map(e => JSON.stringify(e)));
+    writeOutput(lines.length ? lines.join('\n') + '\n' : '', opts.out);
+    return EXIT_CODES.OK;
+  }
+
+  const rows = perTenant.flatMap(t => {
+    const reasons = new Map(t.filtered.map(f => [f.encounterId, f.detail]));
+    return t.encounters.map(e => ({
+      tenant: t.tenant,
+      id: e.id,
+      status: e.status,
+      patient: e.subject?.reference,
+      start: e.period?.start,
+      end: e.period?.end,
+      eligible: !reasons.has(e.id),
+      reason: reasons.get(e.id)
+    }));
+  });
+  const columns = ['id', 'status', 'patient', 'start', 'end', 'eligible', 'reason'];
+  writeOutput(
+    format === 'json'
+      ? JSON.stringify(rows, null, 2) + '\n'
+      : table(rows, loaded.hasTenants ? ['tenant', ...columns] : columns),
+    opts.out
+  );
+  return EXIT_CODES.OK;
+}
+
+async function submit(flowMode, opts) {
+  if (opts.every && opts.once) throw new UsageError('--every and --once cannot be combined');
+  const overrides = { ...selectionOverrides(opts), FLOW_MODE: flowMode, DETECTION_MODE: 'poll' };
+  if (opts['dry-run']) overrides.DRY_RUN = true;
+  if (opts.force) overrides.FORCE_RESUBMIT = true;
+  if (opts.every) overrides.DAEMON_INTERVAL = opts.every;
+  if (opts.once) overrides.DAEMON_INTERVAL = null;
+  load(opts, { overrides, allToStderr: false });
+  return runFlow();
+}
+
+async function listenCommand(opts) {
+  if (opts.flow && !['launch', 'notify'].includes(opts.flow)) throw new UsageError('--flow must be launch or notify');
+  const overrides = { DETECTION_MODE: 'subscription' };
+  if (opts.flow) overrides.FLOW_MODE = opts.flow;
+  if (opts['dry-run']) overrides.DRY_RUN = true;
+  if (opts.force) overrides.FORCE_RESUBMIT = true;
+  load(opts, { overrides, allToStderr: false });
+  return runListener();
+}
+
+async function reprocess(opts) {
+  if (opts.flow && !['launch', 'notify'].includes(opts.flow)) throw new UsageError('--flow must be launch or notify');
+  let targets = [
+    ...csvFlag(opts.encounter).map(id => ({ encounterId: id.split('/').pop() })),
+    ...csvFlag(opts.patient).map(id => ({ patientId: id.split('/').pop() }))
+  ];
+  if (opts.file) {
+    try {
+      targets.push(...readTargetsFile(opts.file));
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  }
+  if (!targets.length) throw new UsageError('reprocess needs --encounter, --patient or --file');
+
+  // A reprocess is a resend: the ledger only stops it with --skip-sent.
+  const overrides = { DETECTION_MODE: 'poll', FORCE_RESUBMIT: !opts['skip-sent'] };
+  if (opts.flow) overrides.FLOW_MODE = opts.flow;
+  if (opts['validation-mode']) overrides.VALIDATION_MODE = opts['validation-mode'];
+  if (opts['throttle-context']) overrides.THROTTLE_CONTEXT = opts['throttle-context'];
+  if (opts['dry-run']) overrides.DRY_RUN = true;
+  const loaded = load(opts, { overrides, allToStderr: false });
+
+  if (!loaded.hasTenants) targets = targets.map(({ tenant, ...t }) => t);
+  const selected = loaded.tenants.map(t => t.name);
+  const elsewhere = targets.filter(t => t.tenant && !selected.includes(t.tenant));
+  if (elsewhere.length) {
+    logger.warn('Targets for tenants that are not selected are skipped', { targets: elsewhere.length, tenants: [...new Set(elsewhere.map(t => t.tenant))].join(',') });
+    targets = targets.filter(t => !elsewhere.includes(t));
+  }
+  if (!targets.length) throw new UsageError('No targets left for the selected tenants');
+  if (selected.length > 1 && targets.some(t => !t.tenant)) {
+    throw new UsageError('Several tenants are selected: pick one with --tenant, or give each --file row a tenant');
+  }
+
+  const window = opts.start || opts.end
+    ? { start: opts.start, end: opts.end, dateField: opts['date-field'] || loaded.config.DATE_FIELD }
+    : undefined;
+  return runReprocess(targets, { window });
+}
+
+async function track(opts) {
+  const waitSeconds = opts.wait === undefined ? undefined : Number(opts.wait);
+  if (waitSeconds !== undefined && !(waitSeconds >= 0)) throw new UsageError('--wait must be a number of seconds');
+  load(opts, { overrides: { DETECTION_MODE: 'poll' } });
+
+  const entries = await trackSubmissions([], { waitSeconds });
+  const rows = entries.map(e => ({
+    ...e,
+    eicr: e.eicrIds?.join(','),
+    rr: e.rrIds?.join(','),
+    errors: e.validationErrors?.length || undefined
+  }));
+  if (opts.json) {
+    process.stdout.write(JSON.stringify(entries, null, 2) + '\n');
+  } else {
+    const columns = ['encounterId', 'patientId', 'flowMode', 'state', 'eicr', 'rr', 'errors', 'submittedAt'];
+    process.stdout.write(table(rows, rows.some(r => r.tenant) ? ['tenant', ...columns] : columns));
+  }
+  return entries.some(e => e.state === 'validation-failed') ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+async function status(opts) {
+  const loaded = load(opts, { validate: false, quiet: true });
+  const cfg = loaded.config;
+  if (opts.flow && !['launch', 'notify'].includes(opts.flow)) throw new UsageError('--flow must be launch or notify');
+  const tenantFilter = opts.tenant ?? process.env.TENANT;
+  const selected = tenantFilter ? new Set(loaded.tenants.map(t => t.name)) : null;
+
+  // Latest attempt per (server, flow, encounter), plus how many attempts there were.
+  const latest = new Map();
+  for (const e of openLedger({ outputDir: cfg.OUTPUT_DIR }).entries()) {
+    if (opts.encounter && e.encounterId !== opts.encounter) continue;
+    if (opts.flow && e.flowMode !== opts.flow) continue;
+    if (selected && !selected.has(e.tenant)) continue;
+    const key = `${e.fhirBase}|${e.flowMode}|${e.encounterId}`;
+    const prev = latest.get(key);
+    latest.set(key, { ...e, attempts: (prev?.attempts || 0) + 1 });
+  }
+  // eCRNow processing state, when TRACK_ECR_STATUS / `track` has checked it.
+  const ecr = openEcrStatusLog({ outputDir: cfg.OUTPUT_DIR });
+  let rows = [...latest.values()].map(r => ({ ...r, ecr: ecr.get(r)?.state }));
+  const failed = rows.filter(r => !r.ok);
+  if (opts.failed) rows = failed;
+
+  if (opts.json) {
+    process.stdout.write(JSON.stringify(rows, null, 2) + '\n');
+  } else {
+    const columns = ['encounterId', 'patientId', 'flowMode', 'status', 'ok', 'attempts', 'timestamp', ...(rows.some(r => r.ecr) ? ['ecr'] : [])];
+    const anyTenant = rows.some(r => r.tenant);
+    process.stdout.write(table(rows, anyTenant ? ['tenant', ...columns] : columns));
+    process.stdout.write(`\n${latest.size} encounter(s), ${latest.size - failed.length} ok, ${failed.length} failed\n`);
+
+    const runsDir = path.join(cfg.OUTPUT_DIR, 'runs');
+    const lastRun = fs.existsSync(runsDir) ? fs.readdirSync(runsDir).filter(f => f.endsWith('.json')).sort().pop() : null;
+    if (lastRun) {
+      const summary = JSON.parse(fs.readFileSync(path.join(runsDir, lastRun), 'utf8'));
+      const c = summary.counts;
+      process.stdout.write(`Last run ${summary.startedAt} (${summary.flowMode}${summary.dryRun ? ', dry run' : ''}): ` +
+        `${c.fetched} fetched, ${c.succeeded} succeeded, ${c.failed} failed, ${c.skipped} skipped, ${c.filtered} filtered\n`);
+    }
+  }
+  return failed.length ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+async function printConfig(opts) {
+  const loaded = load(opts, { quiet: true });
+  const out = {
+    file: loaded.file,
+    profile: loaded.profile,
+    config: maskConfig(loaded.config, CONFIG_SCHEMA),
+    tenants: loaded.hasTenants ? loaded.tenants.map(t => ({ name: t.name, ...maskConfig(t.config, CONFIG_SCHEMA) })) : undefined,
+    warnings: loaded.warnings.length ? loaded.warnings : undefined
+  };
+  process.stdout.write(JSON.stringify(out, null, 2) + '\n');
+  return EXIT_CODES.OK;
+}
+
+// ---------- main ----------
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === '-h' || name === '--help' || name === 'help') {
+    process.stdout.write(USAGE);
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command: ${name}`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...COMMON, ...command.options }, strict: true, allowPositionals: false });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  if (parsed.values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+  return command.run(parsed.values);
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (e) {
+  if (e instanceof UsageError) {
+    process.stderr.write(`${e.message}\n\n${USAGE}`);
+    process.exitCode = EXIT_CODES.USAGE;
+  } else if (e.code === 'ECONFIG') {
+    process.stderr.write(`${e.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+  } else {
+    logger.error('Failed', { status: e.response?.status, error: e.response?.data ?? e.message });
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
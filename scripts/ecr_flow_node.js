@@ -1,102 +1,313 @@
 // scripts/ecr_flow_node.js
 import 'dotenv/config.js';
-import axios from 'axios';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { http, timeouts, configureHttp, retryDelayMs } from '../utils/httpClient.js';
 import { signClientAssertion } from '../utils/clientAssertion.js';
-import { fetchEncountersByConditionCodes, fetchEncountersByDateRange } from '../utils/fhirQueries.js';
-import { fetchEncountersByConditionCodesPost } from '../utils/fhirQueriesPost.js';
-
-// If you already had submitEncounter or other imports, keep them as is.
-
-const CFG = {
-  // === FHIR OAuth ===
-  AUTH_MODE: (process.env.AUTH_MODE || 'SOF_BACKEND').toUpperCase(), // NEW default covers “client id only”
-  CLIENT_ID: process.env.CLIENT_ID,
-  CLIENT_SECRET: process.env.CLIENT_SECRET,          // optional for client_secret_* modes
-  TOKEN_URL: process.env.TOKEN_URL,
-  SCOPE: process.env.SCOPE || 'system/*.read',
-  KID: process.env.KID,                               // key id registered with EHR
-  PRIVATE_KEY_PATH: process.env.PRIVATE_KEY_PATH,     // path to PEM private key
-  REQUIRE_AUD: String(process.env.REQUIRE_AUD || 'true').toLowerCase() === 'true',
-  AUD: process.env.AUD,                               // override audience (defaults to TOKEN_URL)
-
-  // === FHIR server / search params ===
-  FHIR_BASE: process.env.FHIR_BASE,
-  START_DATE: process.env.START_DATE,
-  END_DATE: process.env.END_DATE,
-  DATE_FIELD: process.env.DATE_FIELD || 'recorded-date',
-  CODES_CSV: process.env.CANCER_CODES || process.env.CODES_CSV || '', // reuse your code list
-  USE_POST_SEARCH: String(process.env.USE_POST_SEARCH || 'false').toLowerCase() === 'true',
-
-  // === eCRNow auth & API ===
-  ECRNOW_TOKEN_URL: process.env.ECRNOW_TOKEN_URL,
-  ECRNOW_CLIENT_ID: process.env.ECRNOW_CLIENT_ID,
-  ECRNOW_CLIENT_SECRET: process.env.ECRNOW_CLIENT_SECRET,
-  ECRNOW_USER_ID: process.env.ECRNOW_USER_ID,         // if your realm expects it
-  ECRNOW_API_BASE: process.env.ECRNOW_API_BASE || 'http://localhost:8081',
-
-  // === Flow selector ===
-  FLOW_MODE: (process.env.FLOW_MODE || 'notify').toLowerCase(), // "notify" (existing) or "launch" (new)
-
-  // === launchPatient toggles ===
-  VALIDATION_MODE: String(process.env.VALIDATION_MODE || 'false'),
-  THROTTLE_CONTEXT: String(process.env.THROTTLE_CONTEXT || '1'),
-
-  // (keep any other existing vars you already use in the file)
-};
+import { createTokenManager } from '../utils/tokenManager.js';
+import { fetchEncountersFromSources, parseSources, readIdList } from '../utils/encounterSources.js';
+import { loadValueSetFile, expandValueSet } from '../utils/valueSets.js';
+import { submitEncounter, buildNotificationBundle, ENCOUNTER_END_TOPIC } from '../utils/submitEncounter.js';
+import { validateNotificationBundle, formatIssues } from '../utils/notificationValidation.js';
+import { openLedger } from '../utils/ledger.js';
+import { openDryRun } from '../utils/dryRun.js';
+import { buildEncounterFilters, applyEncounterFilters } from '../utils/encounterFilters.js';
+import { readWatermark, writeWatermark, nextWatermark, searchWindow } from '../utils/watermark.js';
+import { parseInterval, runEvery } from '../utils/schedule.js';
+import { mapPool, createProgress } from '../utils/pool.js';
+import { logger, configureLogger, setLogContext, registerSecrets } from '../utils/logger.js';
+import { buildRunSummary, writeRunSummary } from '../utils/runReport.js';
+import { loadConfig, findConfigFile, maskConfig } from '../utils/config.js';
+import { CONFIG_SCHEMA, CONFIG_RULES } from '../utils/configSchema.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+import { startJwksServer } from '../utils/jwksServer.js';
+import { resolveReferences } from '../utils/fhirBatch.js';
+import { fetchTargetEncounters } from '../utils/targets.js';
+import { readCapabilityStatement, summarizeCapabilities, planSearches, dateParamFor } from '../utils/fhirServer.js';
+import { openEcrStatusLog, fetchEcrStatus, trackEcrStatus, countEcrStates, FINAL_ECR_STATES } from '../utils/ecrStatus.js';
+import {
+  buildSubscription,
+  checkSubscriptionSupport,
+  registerSubscription,
+  deleteSubscription,
+  startNotificationListener
+} from '../utils/subscriptions.js';
 
-// ---------- helpers ----------
-function need(obj, keys) {
-  const miss = keys.filter(k => !obj[k] || String(obj[k]).trim() === '');
-  if (miss.length) throw new Error(`Missing env: ${miss.join(', ')}`);
+// ---------- configuration: defaults < config file < CONFIG_PROFILE < env < tenant < command line (see utils/configSchema.js) ----------
+let settings;
+let CFG;
+let ecrTokens;
+let tenants;
+
+/**
+ * Resolve the configuration; throws with every problem listed. File, profile and tenant
+ * selection default to CONFIG_FILE / CONFIG_PROFILE / TENANT. `overrides` are command-line
+ * values. `validate: 'fhir'` skips the eCRNow requirements (search only); `false` skips all
+ * requirement rules (commands that only read OUTPUT_DIR).
+ */
+export function loadSettings({
+  file = process.env.CONFIG_FILE,
+  profile = process.env.CONFIG_PROFILE,
+  tenant = process.env.TENANT,
+  overrides,
+  validate = true
+} = {}) {
+  return loadConfig({
+    schema: CONFIG_SCHEMA,
+    rules: validate === 'fhir' ? CONFIG_RULES.filter(r => !r.shared) : validate ? CONFIG_RULES : [],
+    file: findConfigFile(file),
+    profile,
+    only: tenant ? tenant.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+    overrides
+  });
+}
+
+/** Apply loaded settings (logging, HTTP client, token managers); call once before running anything. */
+export function setup(loaded, { allToStderr } = {}) {
+  settings = loaded;
+  CFG = loaded.config;
+
+  configureLogger({ level: CFG.LOG_LEVEL, format: CFG.LOG_FORMAT, allToStderr });
+  // Secret values are masked in every log line and error message, wherever they turn up.
+  const secretKeys = CONFIG_SCHEMA.filter(e => e.secret).map(e => e.key);
+  registerSecrets([CFG, ...loaded.tenants.map(t => t.config)].flatMap(c => secretKeys.map(k => c[k])));
+
+  configureHttp({
+    maxRetries: CFG.HTTP_MAX_RETRIES,
+    retryBaseMs: CFG.HTTP_RETRY_BASE_MS,
+    retryMaxMs: CFG.HTTP_RETRY_MAX_MS,
+    maxRequestsPerSecond: CFG.HTTP_MAX_RPS,
+    timeouts: {
+      token: CFG.HTTP_TIMEOUT_TOKEN_MS,
+      search: CFG.HTTP_TIMEOUT_SEARCH_MS,
+      read: CFG.HTTP_TIMEOUT_READ_MS,
+      submit: CFG.HTTP_TIMEOUT_SUBMIT_MS
+    }
+  });
+
+  logger.info('Configuration loaded', {
+    file: settings.file || undefined,
+    profile: settings.profile || undefined,
+    config: maskConfig(CFG, CONFIG_SCHEMA),
+    tenants: settings.hasTenants
+      ? settings.tenants.map(t => ({ name: t.name, ...maskConfig(t.overrides, CONFIG_SCHEMA) }))
+      : undefined
+  });
+  for (const w of settings.warnings) logger.warn(`Config: ${w}`);
+
+  // ---------- token managers (cached, refreshed before expiry, retried once on 401) ----------
+  ecrTokens = createTokenManager({
+    name: 'eCRNow',
+    fetchToken: requestEcrToken,
+    refreshSkewSeconds: CFG.TOKEN_REFRESH_SKEW_SECONDS
+  });
+
+  // One entry per FHIR server / facility; a config without `tenants` has a single "default" one.
+  // Created once so daemon runs keep reusing each tenant's cached token.
+  tenants = settings.tenants.map(t => ({
+    name: t.name,
+    cfg: t.config,
+    fhirTokens: createTokenManager({
+      name: settings.hasTenants ? `FHIR ${t.name}` : 'FHIR',
+      fetchToken: () => requestFhirToken(t.config),
+      retryDelayMs,
+      refreshSkewSeconds: CFG.TOKEN_REFRESH_SKEW_SECONDS
+    })
+  }));
 }
 
+// ---------- helpers ----------
+
 function getPatientIdFromEncounter(enc) {
   const ref = enc?.subject?.reference || ''; // e.g. "Patient/56089"
   if (ref.startsWith('Patient/')) return ref.split('/')[1];
   return null;
 }
 
-// ---------- OAuth: FHIR (adds SOF_BACKEND) ----------
-async function getFhirToken() {
-  need(CFG, ['TOKEN_URL', 'CLIENT_ID', 'FHIR_BASE']);
+// Ids from a CSV setting plus an optional id file
+function idList(csv, file) {
+  return [
+    ...(csv ? csv.split(',').map(s => s.trim()).filter(Boolean) : []),
+    ...(file ? readIdList(file) : [])
+  ];
+}
+
+// CODES_CSV plus any configured trigger code value set, deduplicated, as "system|code,…"
+async function loadTriggerCodes(cfg) {
+  const codes = new Set(cfg.CODES_CSV.split(',').map(s => s.trim()).filter(Boolean));
+  if (cfg.TRIGGER_CODES_FILE) {
+    loadValueSetFile(cfg.TRIGGER_CODES_FILE, { valueSetUrl: cfg.TRIGGER_VALUESET_URL }).forEach(c => codes.add(c));
+  } else if (cfg.TRIGGER_VALUESET_URL) {
+    const expanded = await expandValueSet({
+      terminologyBase: cfg.TERMINOLOGY_BASE,
+      valueSetUrl: cfg.TRIGGER_VALUESET_URL,
+      authorization: cfg.TERMINOLOGY_AUTH
+    });
+    expanded.forEach(c => codes.add(c));
+  }
+  return [...codes].join(',');
+}
+
+// How to search this tenant's FHIR server: read once per process from its CapabilityStatement
+// (DETECT_CAPABILITIES), the SERVER_PROFILE and the FHIR_* settings.
+async function searchPlan(tenant) {
+  if (tenant.plan) return tenant.plan;
+  const { cfg } = tenant;
+  let capabilities = null;
+  if (cfg.DETECT_CAPABILITIES) {
+    try {
+      capabilities = summarizeCapabilities(await readCapabilityStatement({ fhirBase: cfg.FHIR_BASE, token: tenant.fhirTokens }));
+    } catch (e) {
+      logger.warn('CapabilityStatement not read; using the server profile and R4 defaults', { status: e.response?.status, error: e.message });
+    }
+  }
+  const plan = planSearches({
+    capabilities,
+    profile: cfg.SERVER_PROFILE,
+    include: cfg.FHIR_INCLUDE,
+    postSearch: cfg.FHIR_POST_SEARCH,
+    batchSize: cfg.FHIR_BATCH_SIZE,
+    pageSize: cfg.FHIR_PAGE_SIZE
+  });
+  logger.info('FHIR search plan', {
+    profile: plan.profile,
+    fhirVersion: capabilities?.fhirVersion,
+    software: capabilities?.software,
+    include: plan.include,
+    postSearch: plan.postSearch,
+    batchSize: plan.batchSize,
+    pageSize: plan.pageSize,
+    conditionNeedsPatient: plan.conditionNeedsPatient || undefined
+  });
+  plan.notes.forEach(note => logger.warn(`FHIR server: ${note}`));
+  tenant.plan = plan;
+  return plan;
+}
+
+// The window's date parameter, per resource type, as this server supports it.
+function windowDateFields(plan, cfg, window) {
+  const pick = (type, wanted) => {
+    const { param, note } = dateParamFor(plan, type, wanted);
+    if (note) logger.info(`Search window: ${note}`);
+    return param;
+  };
+  // lastUpdated watermarks search _lastUpdated everywhere.
+  if (window.dateField === '_lastUpdated') return { encounter: '_lastUpdated', condition: '_lastUpdated' };
+  return {
+    encounter: pick('Encounter', window.dateField),
+    condition: pick('Condition', cfg.CONDITION_DATE_FIELD || window.dateField)
+  };
+}
+
+// Fetch encounters from the configured source(s)
+async function fetchEncounters(tenant, window) {
+  const { cfg } = tenant;
+  const plan = await searchPlan(tenant);
+  const sources = parseSources(cfg.ENCOUNTER_SOURCE);
+  logger.info('Querying FHIR for Encounters', { sources: sources.join(','), combine: sources.length > 1 ? cfg.ENCOUNTER_SOURCE_COMBINE : undefined });
+
+  const usesCodes = sources.some(s => s.startsWith('condition') || s === 'bulk');
+  const codesCsv = usesCodes ? await loadTriggerCodes(cfg) : cfg.CODES_CSV;
+  if (usesCodes) logger.info('Trigger codes loaded', { codes: codesCsv ? codesCsv.split(',').length : 0 });
+
+  const dateFields = windowDateFields(plan, cfg, window);
+  const encounters = await fetchEncountersFromSources({
+    sources,
+    combine: cfg.ENCOUNTER_SOURCE_COMBINE,
+    fhirBase: cfg.FHIR_BASE,
+    token: tenant.fhirTokens,
+    start: window.start,
+    end: window.end,
+    dateField: dateFields.encounter,
+    conditionDateField: dateFields.condition,
+    status: cfg.SEARCH_STATUS,
+    codesCsv,
+    codeChunkMaxChars: cfg.CODE_CHUNK_MAX_CHARS,
+    usePostSearch: cfg.USE_POST_SEARCH,
+    postSearch: plan.postSearch,
+    include: plan.include,
+    conditionNeedsPatient: plan.conditionNeedsPatient,
+    pageSize: plan.pageSize,
+    encounterIds: idList(cfg.ENCOUNTER_IDS, cfg.ENCOUNTER_IDS_FILE),
+    patientIds: idList(cfg.PATIENT_IDS, cfg.PATIENT_IDS_FILE),
+    bulk: {
+      groupId: cfg.BULK_GROUP_ID,
+      pollIntervalMs: cfg.BULK_POLL_INTERVAL_MS,
+      maxWaitMs: cfg.BULK_MAX_WAIT_MINUTES * 60 * 1000
+    },
+    concurrency: cfg.FETCH_CONCURRENCY,
+    batchSize: plan.batchSize
+  });
+
+  logger.info('Encounters found', { count: encounters.length });
+  return encounters;
+}
+
+// Drop ineligible encounters before submission; each rejection is logged and reported as "filtered".
+function selectEligible(cfg, encounters) {
+  const checks = buildEncounterFilters({
+    statuses: cfg.FILTER_STATUS,
+    excludeStatuses: cfg.FILTER_EXCLUDE_STATUS,
+    classes: cfg.FILTER_CLASS,
+    typeCodes: cfg.FILTER_TYPE,
+    serviceProviders: cfg.FILTER_SERVICE_PROVIDER,
+    locations: cfg.FILTER_LOCATION,
+    minPeriodMinutes: cfg.FILTER_MIN_PERIOD_MINUTES,
+    requirePeriodEnd: cfg.FILTER_REQUIRE_PERIOD_END
+  });
+  const { eligible, rejected } = applyEncounterFilters(encounters, checks);
+  for (const { encounter, reason } of rejected) {
+    logger.info('Encounter filtered out', { encounterId: encounter.id, reason });
+  }
+  if (rejected.length) logger.info('Eligible Encounters', { eligible: eligible.length, fetched: encounters.length });
+  const filtered = rejected.map(({ encounter, reason }) => ({
+    encounterId: encounter.id,
+    outcome: 'filtered',
+    detail: reason
+  }));
+  return { eligible, filtered };
+}
 
-  const mode = CFG.AUTH_MODE; // SOF_BACKEND | PRIVATE_KEY_JWT | CLIENT_SECRET_BASIC | CLIENT_SECRET_POST
+// ---------- OAuth: FHIR (adds SOF_BACKEND) ----------
+async function requestFhirToken(cfg) {
+  const mode = cfg.AUTH_MODE; // SOF_BACKEND | PRIVATE_KEY_JWT | CLIENT_SECRET_BASIC | CLIENT_SECRET_POST
   const headers = { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' };
   const form = new URLSearchParams();
   form.append('grant_type', 'client_credentials');
-  if (CFG.SCOPE) form.append('scope', CFG.SCOPE);
+  if (cfg.SCOPE) form.append('scope', cfg.SCOPE);
 
   // Audience
-  const aud = CFG.AUD || CFG.TOKEN_URL;
-  const addAud = CFG.REQUIRE_AUD && aud;
+  const aud = cfg.AUD || cfg.TOKEN_URL;
+  const addAud = cfg.REQUIRE_AUD && aud;
 
   switch (mode) {
     case 'SOF_BACKEND': // SMART Backend Services (private_key_jwt with no client_secret)
     case 'PRIVATE_KEY_JWT': {
-      need(CFG, ['KID', 'PRIVATE_KEY_PATH']);
       const clientAssertion = await signClientAssertion({
-        clientId: CFG.CLIENT_ID,
+        clientId: cfg.CLIENT_ID,
         aud,
-        kid: CFG.KID,
-        privateKeyPath: CFG.PRIVATE_KEY_PATH,
+        kid: cfg.KID,
+        privateKeyPath: cfg.PRIVATE_KEY_PATH,
+        keysDir: cfg.KEYS_DIR,
+        alg: cfg.SIGNING_ALG,
+        jku: cfg.JWKS_URL,
+        passphrase: cfg.KEY_PASSPHRASE
       });
-      form.append('client_id', CFG.CLIENT_ID);
+      form.append('client_id', cfg.CLIENT_ID);
       form.append('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
       form.append('client_assertion', clientAssertion);
       if (addAud) form.append('aud', aud);
       break;
     }
     case 'CLIENT_SECRET_BASIC': {
-      need(CFG, ['CLIENT_SECRET']);
-      const basic = Buffer.from(`${CFG.CLIENT_ID}:${CFG.CLIENT_SECRET}`).toString('base64');
+      const basic = Buffer.from(`${cfg.CLIENT_ID}:${cfg.CLIENT_SECRET}`).toString('base64');
       headers.Authorization = `Basic ${basic}`;
       if (addAud) form.append('aud', aud);
       break;
     }
     case 'CLIENT_SECRET_POST': {
-      need(CFG, ['CLIENT_SECRET']);
-      form.append('client_id', CFG.CLIENT_ID);
-      form.append('client_secret', CFG.CLIENT_SECRET);
+      form.append('client_id', cfg.CLIENT_ID);
+      form.append('client_secret', cfg.CLIENT_SECRET);
       if (addAud) form.append('aud', aud);
       break;
     }
@@ -104,104 +315,715 @@ async function getFhirToken() {
       throw new Error(`Unsupported AUTH_MODE: ${mode}`);
   }
 
-  const resp = await axios.post(CFG.TOKEN_URL, form.toString(), { headers, timeout: 25000 });
+  // Never resent as is: a client assertion's jti is single-use, so the token manager
+  // retries by calling this again, which signs a new one.
+  const resp = await http.post(cfg.TOKEN_URL, form.toString(), { headers, timeout: timeouts.token, retry: false });
   if (!resp.data?.access_token) {
-    throw new Error(`FHIR token endpoint did not return access_token. Body: ${JSON.stringify(resp.data)}`);
+    throw new Error(`FHIR token endpoint did not return access_token (${describeTokenResponse(resp.data)})`);
   }
-  return resp.data.access_token;
+  return resp.data;
+}
+
+// A token response without its values: the OAuth error fields and which other fields came back.
+function describeTokenResponse(data) {
+  if (!data || typeof data !== 'object') return `got ${typeof data}`;
+  const { error, error_description: description } = data;
+  const fields = Object.keys(data).filter(k => k !== 'error' && k !== 'error_description');
+  return [error && `error ${error}`, description && String(description), `fields: ${fields.join(', ') || 'none'}`].filter(Boolean).join('; ');
 }
 
 // ---------- OAuth: eCRNow ----------
-async function getEcrToken() {
-  need(CFG, ['ECRNOW_TOKEN_URL', 'ECRNOW_CLIENT_ID']);
+async function requestEcrToken() {
   const form = new URLSearchParams({ grant_type: 'client_credentials', client_id: CFG.ECRNOW_CLIENT_ID });
   if (CFG.ECRNOW_CLIENT_SECRET) form.append('client_secret', CFG.ECRNOW_CLIENT_SECRET);
   if (CFG.ECRNOW_USER_ID) form.append('userId', CFG.ECRNOW_USER_ID);
 
-  const r = await axios.post(CFG.ECRNOW_TOKEN_URL, form.toString(), {
+  const r = await http.post(CFG.ECRNOW_TOKEN_URL, form.toString(), {
     headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    timeout: 20000
+    timeout: timeouts.token,
+    idempotent: true
   });
-  return r.data?.access_token;
+  return r.data;
+}
+
+// Fetch the tenant's token up front so auth problems fail it before any searching.
+async function authenticate(tenant) {
+  logger.info('Getting FHIR token', { authMode: tenant.cfg.AUTH_MODE });
+  await tenant.fhirTokens.getToken();
+  logger.info('FHIR token OK');
 }
 
 // ---------- FLOW: launchPatient (new) ----------
-async function runLaunchFlow() {
-  console.log('🔑 Getting FHIR token (', CFG.AUTH_MODE, ')…');
-  const fhirToken = await getFhirToken();
-  console.log('FHIR token OK.');
-
-  console.log('🔒 Getting eCRNow access token…');
-  const ecrBearer = await getEcrToken();
-  need({ ecrBearer }, ['ecrBearer']);
-  console.log('eCRNow token OK.');
-
-  need(CFG, ['FHIR_BASE', 'ECRNOW_API_BASE']);
-
-  // Fetch encounters using your existing helpers
-  // const fetcher = CFG.USE_POST_SEARCH ? fetchEncountersByConditionCodesPost : fetchEncountersByConditionCodes;
-  console.log(`🔎 Querying FHIR for Encounters (USE_POST_SEARCH=${CFG.USE_POST_SEARCH})…`);
-  const encounters = await fetchEncountersByDateRange({
-    fhirBase: CFG.FHIR_BASE,
-    token: fhirToken,
-    start: CFG.START_DATE,
-    end: CFG.END_DATE,
-    dateField: CFG.DATE_FIELD
-  });
-
-  console.log(`Found ${encounters.length} Encounter(s).`);
+// Both flows search with `window`, unless the listener or a reprocess hands them `given`
+// Encounters. `overrides` (reprocessing) maps an Encounter id to its own validationMode /
+// throttleContext.
+async function runLaunchFlow(tenant, window, ledger, given, overrides) {
+  const { cfg } = tenant;
+  await authenticate(tenant);
+
+  const encounters = given ?? await fetchEncounters(tenant, window);
   const url = `${CFG.ECRNOW_API_BASE}/api/launchPatient`;
+  const dryRun = CFG.DRY_RUN ? openDryRun({ outputDir: CFG.OUTPUT_DIR, flowMode: 'launch', tenant: dryRunTenant(tenant) }) : null;
 
-  for (const enc of encounters) {
+  const { eligible, filtered } = selectEligible(cfg, encounters);
+  const progress = createProgress('launchPatient', eligible.length);
+  const submitted = await mapPool(eligible, CFG.SUBMIT_CONCURRENCY, async enc => {
     const encounterId = enc?.id;
     const patientId = getPatientIdFromEncounter(enc);
     if (!encounterId || !patientId) {
-      console.warn(`⚠️  Skipping encounter with missing ids (encounterId=${encounterId}, patientId=${patientId})`);
-      continue;
+      logger.warn('Skipping encounter with missing ids', { encounterId, patientId });
+      return { encounterId, outcome: 'skipped', detail: 'missing ids' };
+    }
+    if (!CFG.FORCE_RESUBMIT && ledger.hasSucceeded({ fhirBase: cfg.FHIR_BASE, flowMode: 'launch', encounterId })) {
+      logger.info('Skipping encounter already launched', { encounterId, ledger: ledger.file });
+      return { encounterId, outcome: 'skipped', detail: 'already launched' };
     }
 
     const body = {
-      fhirServerURL: CFG.FHIR_BASE,
+      fhirServerURL: cfg.FHIR_BASE,
       patientId,
       encounterId,
-      validationMode: CFG.VALIDATION_MODE,
-      throttleContext: CFG.THROTTLE_CONTEXT
+      validationMode: overrides?.get(encounterId)?.validationMode ?? cfg.VALIDATION_MODE,
+      throttleContext: overrides?.get(encounterId)?.throttleContext ?? cfg.THROTTLE_CONTEXT
     };
 
-    console.log(`➡️  POST ${url}  (Encounter/${encounterId}, Patient/${patientId})`);
+    if (dryRun) {
+      const file = dryRun.writePayload(encounterId, body);
+      logger.info('[dry run] would POST launchPatient', { url, encounterId, patientId, file });
+      return { encounterId, patientId, outcome: 'planned', file };
+    }
+
+    const requestId = crypto.randomUUID();
+    const correlationId = crypto.randomUUID();
+    const log = logger.child({ encounterId, patientId, requestId, correlationId });
+
+    log.info('POST launchPatient', { url });
     try {
-      const resp = await axios.post(url, body, {
+      const resp = await http.post(url, body, {
           headers: {
-              'Content-Type': 'application/json', Authorization: `Bearer ${ecrBearer}`, 'X-Request-ID': crypto.randomUUID(),
-              'X-Correlation-ID': crypto.randomUUID()
+              'Content-Type': 'application/json', 'X-Request-ID': requestId,
+              'X-Correlation-ID': correlationId
           },
-        timeout: 60000
+        token: ecrTokens,
+        timeout: timeouts.submit
+      });
+      log.info('launchPatient OK', { status: resp.status, response: resp.data });
+      ledger.record({ encounterId, patientId, fhirBase: cfg.FHIR_BASE, tenant: tenantLabel(tenant), flowMode: 'launch', requestId, status: resp.status, response: resp.data });
+      return { encounterId, patientId, requestId, outcome: 'ok' };
+    } catch (e) {
+      log.error('launchPatient failed', { status: e.response?.status, error: e.response?.data ?? e.message });
+      ledger.record({ encounterId, patientId, fhirBase: cfg.FHIR_BASE, tenant: tenantLabel(tenant), flowMode: 'launch', requestId, status: e.response?.status, response: e.response?.data ?? e.message });
+      return { encounterId, outcome: 'failed', detail: e.response?.status ? `HTTP ${e.response.status}` : e.message };
+    }
+  }, { onDone: () => progress.tick() });
+  const results = [...filtered, ...submitted];
+
+  if (dryRun) logger.info('Dry run manifest written', { file: dryRun.writeManifest({ url, results }) });
+
+  return { encounters, results };
+}
+
+
+// ---------- FLOW: receive-notification ----------
+async function runNotifyFlow(tenant, window, ledger, given, overrides) {
+  const { cfg } = tenant;
+  logger.info('Running notification flow', { flowMode: 'notify' });
+  if ([...(overrides?.values() ?? [])].some(o => Object.keys(o).length)) {
+    logger.warn('validationMode / throttleContext overrides only apply to launchPatient; ignored by the notify flow');
+  }
+
+  await authenticate(tenant);
+
+  const encounters = given ?? await fetchEncounters(tenant, window);
+  const url = `${CFG.ECRNOW_API_BASE}${CFG.ECRNOW_NOTIFY_PATH}`;
+  const bundleOptions = {
+    subscriptionUrl: CFG.SUBSCRIPTION_URL,
+    topicCanonical: CFG.SUBSCRIPTION_TOPIC,
+    uniqueId: CFG.NOTIFICATION_UNIQUE_IDS,
+    fhirBase: CFG.NOTIFICATION_ABSOLUTE_URLS ? cfg.FHIR_BASE : undefined
+  };
+  const dryRun = CFG.DRY_RUN ? openDryRun({ outputDir: CFG.OUTPUT_DIR, flowMode: 'notify', tenant: dryRunTenant(tenant) }) : null;
+
+  const { eligible, filtered } = selectEligible(cfg, encounters);
+  const progress = createProgress('receive-notification', eligible.length);
+  const submitted = await mapPool(eligible, CFG.SUBMIT_CONCURRENCY, async enc => {
+    const encounterId = enc?.id;
+    if (!encounterId) {
+      logger.warn('Skipping encounter with missing id');
+      return { encounterId, outcome: 'skipped', detail: 'missing id' };
+    }
+    if (!CFG.FORCE_RESUBMIT && ledger.hasSucceeded({ fhirBase: cfg.FHIR_BASE, flowMode: 'notify', encounterId })) {
+      return { encounterId, outcome: 'skipped', detail: 'already notified' };
+    }
+    const patientId = getPatientIdFromEncounter(enc);
+    const bundle = buildNotificationBundle(enc, bundleOptions);
+
+    // Invalid Bundles fail here (VALIDATE_NOTIFICATIONS=error) instead of as an eCRNow 400.
+    if (CFG.VALIDATE_NOTIFICATIONS !== 'off') {
+      const issues = validateNotificationBundle(bundle);
+      const errors = issues.filter(i => i.severity === 'error');
+      if (issues.length) {
+        logger.warn('Notification Bundle issues', { encounterId, errors: errors.length, issues: formatIssues(issues) });
+      }
+      if (errors.length && CFG.VALIDATE_NOTIFICATIONS === 'error') {
+        if (!dryRun) {
+          ledger.record({ encounterId, patientId, fhirBase: cfg.FHIR_BASE, tenant: tenantLabel(tenant), flowMode: 'notify', response: `Invalid notification Bundle: ${formatIssues(errors)}` });
+        }
+        return { encounterId, patientId, outcome: 'failed', detail: 'invalid notification Bundle' };
+      }
+    }
+
+    if (dryRun) {
+      const file = dryRun.writePayload(encounterId, bundle);
+      logger.info('[dry run] would POST notification', { url, encounterId, file });
+      return { encounterId, patientId, outcome: 'planned', file };
+    }
+
+    const requestId = crypto.randomUUID();
+    logger.info('POST receive-notification', { url, encounterId, requestId });
+    try {
+      const resp = await submitEncounter({
+        url,
+        bundle,
+        auth: { type: 'bearer', token: ecrTokens },
+        requestId
       });
-      console.log(`✅ launchPatient OK for Encounter/${encounterId}:`, JSON.stringify(resp.data, null, 2));
+      logger.info('receive-notification OK', { encounterId, status: resp.status });
+      ledger.record({ encounterId, patientId, fhirBase: cfg.FHIR_BASE, tenant: tenantLabel(tenant), flowMode: 'notify', requestId, status: resp.status, response: resp.data });
+      return { encounterId, patientId, requestId, outcome: 'ok' };
     } catch (e) {
-      console.error(`❌ launchPatient failed for Encounter/${encounterId}:`, e.response?.status, JSON.stringify(e.response?.data, 0, 1) || e.message);
+      logger.error('receive-notification failed', { encounterId, status: e.response?.status, error: e.response?.data ?? e.message });
+      ledger.record({ encounterId, patientId, fhirBase: cfg.FHIR_BASE, tenant: tenantLabel(tenant), flowMode: 'notify', requestId, status: e.response?.status, response: e.response?.data ?? e.message });
+      return { encounterId, outcome: 'failed', detail: e.response?.status ? `HTTP ${e.response.status}` : e.message };
     }
+  }, { onDone: () => progress.tick() });
+  const results = [...filtered, ...submitted];
+
+  if (dryRun) logger.info('Dry run manifest written', { file: dryRun.writeManifest({ url, results }) });
+
+  for (const r of results) {
+    logger.info('Notify result', { encounterId: r.encounterId, outcome: r.outcome, detail: r.detail });
   }
+
+  return { encounters, results };
+}
+
+// ---------- one tenant (window from its watermark, then advance it) ----------
+function watermarkFile(tenant) {
+  if (!settings.hasTenants) return CFG.WATERMARK_FILE || path.join(CFG.OUTPUT_DIR, 'watermark.json');
+  if (!CFG.WATERMARK_FILE) return path.join(CFG.OUTPUT_DIR, `watermark-${safeName(tenant.name)}.json`);
+  const { dir, name, ext } = path.parse(CFG.WATERMARK_FILE);
+  return path.join(dir, `${name}-${safeName(tenant.name)}${ext}`);
+}
+
+function safeName(name) {
+  return String(name).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+// Tenant name for the ledger / dry-run output; left out when no tenants are configured.
+function tenantLabel(tenant) {
+  return settings.hasTenants ? tenant.name : undefined;
+}
+
+function dryRunTenant(tenant) {
+  return settings.hasTenants ? safeName(tenant.name) : undefined;
 }
 
+function tenantWindow(cfg, previous) {
+  return {
+    ...searchWindow({
+      watermark: previous,
+      overlapMinutes: cfg.WATERMARK_OVERLAP_MINUTES,
+      start: cfg.START_DATE,
+      end: cfg.END_DATE
+    }),
+    dateField: cfg.WATERMARK_MODE === 'lastUpdated' ? '_lastUpdated' : cfg.DATE_FIELD
+  };
+}
+
+async function runTenant(tenant, ledger) {
+  const { cfg } = tenant;
+  const useWatermark = cfg.WATERMARK_MODE !== 'off';
+  const wmFile = watermarkFile(tenant);
+  const previous = useWatermark ? readWatermark(wmFile, cfg.WATERMARK_MODE) : null;
+
+  const window = tenantWindow(cfg, previous);
+  if (previous) logger.info('Resuming from watermark', { watermark: previous, dateField: window.dateField, start: window.start });
 
-async function runNotifyFlow() {
-  // Use this placeholder to write code for receive-notification flow.
-  console.log('FLOW_MODE=notify — running notification flow…');
-  // ...
+  const { encounters, results } = CFG.FLOW_MODE === 'launch'
+    ? await runLaunchFlow(tenant, window, ledger)
+    : await runNotifyFlow(tenant, window, ledger);
+
+  // A dry run sent nothing, so it must not move the watermark.
+  if (useWatermark && !CFG.DRY_RUN) {
+    const failedIds = new Set();
+    for (const r of results.filter(r => r.outcome === 'failed')) {
+      const failures = ledger.failures({ fhirBase: cfg.FHIR_BASE, flowMode: CFG.FLOW_MODE, encounterId: r.encounterId });
+      if (!cfg.WATERMARK_MAX_FAILURES || failures < cfg.WATERMARK_MAX_FAILURES) {
+        failedIds.add(r.encounterId);
+      } else {
+        // Keeps failing: stop holding the watermark on it; it stays in the ledger for `reprocess`.
+        logger.warn('Encounter no longer holds the watermark; resend it with `ecrnow reprocess`', { encounterId: r.encounterId, failures });
+      }
+    }
+    const value = nextWatermark({ previous, encounters, failedIds, mode: cfg.WATERMARK_MODE });
+    if (value && value !== previous) {
+      writeWatermark(wmFile, { mode: cfg.WATERMARK_MODE, value });
+      logger.info('Watermark advanced', { watermark: value });
+    }
+  }
+  return { fetched: encounters.length, results };
 }
 
-// ---------- main ----------
-(async () => {
+// ---------- targeted reprocessing: exactly the given Encounters / Patients ----------
+async function reprocessTenant(tenant, ledger, targets, window) {
+  const { cfg } = tenant;
+  const mine = targets.filter(t => !t.tenant || t.tenant === tenant.name);
+  if (!mine.length) return { fetched: 0, results: [] };
+  await authenticate(tenant);
+
+  logger.info('Fetching reprocessing targets', {
+    encounters: mine.filter(t => t.encounterId).length,
+    patients: mine.filter(t => !t.encounterId).length,
+    start: window?.start,
+    end: window?.end
+  });
+  const plan = await searchPlan(tenant);
+  const { encounters, overrides, notFound } = await fetchTargetEncounters({
+    fhirBase: cfg.FHIR_BASE,
+    token: tenant.fhirTokens,
+    targets: mine,
+    status: cfg.SEARCH_STATUS,
+    ...window,
+    ...(window ? { dateField: windowDateFields(plan, cfg, window).encounter } : {}),
+    concurrency: cfg.FETCH_CONCURRENCY,
+    batchSize: plan.batchSize,
+    pageSize: plan.pageSize
+  });
+  for (const t of notFound) {
+    logger.warn('Reprocessing target not found', { encounterId: t.encounterId, patientId: t.patientId, reason: t.reason });
+  }
+
+  const { results } = CFG.FLOW_MODE === 'launch'
+    ? await runLaunchFlow(tenant, null, ledger, encounters, overrides)
+    : await runNotifyFlow(tenant, null, ledger, encounters, overrides);
+  const missing = notFound.map(t => ({
+    encounterId: t.encounterId ?? `Patient/${t.patientId}`,
+    patientId: t.patientId,
+    outcome: 'failed',
+    detail: t.reason ? `target ${t.reason}` : 'target not found'
+  }));
+  return { fetched: encounters.length, results: [...missing, ...results] };
+}
+
+/**
+ * Submit `targets` (see utils/targets.js) through FLOW_MODE: no date window unless `window`
+ * ({ start, end, dateField }) is given for Patient targets, and watermarks are neither read
+ * nor moved. Eligibility filters and the ledger apply as usual (FORCE_RESUBMIT to resend).
+ * Resolves to an exit code.
+ */
+export async function runReprocess(targets, { window } = {}) {
   try {
-    if (CFG.FLOW_MODE === 'launch') {
-      await runLaunchFlow();
-    } else {
-      await runNotifyFlow();
+    return await withJwksServer(async () => {
+      const summary = await runOnce((tenant, ledger) => reprocessTenant(tenant, ledger, targets, window));
+      logger.info('Done');
+      return summary.counts.failed || summary.counts.tenantsFailed ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    });
+  } catch (e) {
+    logger.error('Fatal', { status: e.response?.status, error: e.response?.data ?? e.message });
+    return EXIT_CODES.ERROR;
+  }
+}
+
+// ---------- one run (every tenant in turn; summary to OUTPUT_DIR) ----------
+async function runOnce(runTenantWith = runTenant) {
+  const runId = crypto.randomUUID();
+  const startedAt = new Date().toISOString();
+  setLogContext({ runId });
+  logger.info('Run started', { flowMode: CFG.FLOW_MODE, dryRun: CFG.DRY_RUN, tenants: settings.hasTenants ? tenants.map(t => t.name).join(',') : undefined });
+
+  // eCRNow is shared by every tenant; without its token nothing can be submitted.
+  logger.info('Getting eCRNow access token');
+  await ecrTokens.getToken();
+  logger.info('eCRNow token OK');
+
+  const ledger = openLedger({ outputDir: CFG.OUTPUT_DIR });
+  const outcomes = [];
+  for (const tenant of tenants) {
+    if (settings.hasTenants) setLogContext({ tenant: tenant.name });
+    try {
+      outcomes.push({ tenant: tenant.name, fhirBase: tenant.cfg.FHIR_BASE, ...(await runTenantWith(tenant, ledger)) });
+    } catch (e) {
+      // One tenant failing (auth, search) must not stop the others.
+      if (!settings.hasTenants) throw e;
+      logger.error('Tenant failed', { status: e.response?.status, error: e.response?.data ?? e.message });
+      outcomes.push({ tenant: tenant.name, fhirBase: tenant.cfg.FHIR_BASE, fetched: 0, results: [], error: e.message });
+    }
+  }
+  setLogContext({ tenant: undefined });
+
+  if (CFG.TRACK_ECR_STATUS && !CFG.DRY_RUN) {
+    const submitted = outcomes.map(submittedItems);
+    const entries = await trackSubmissions(submitted.flat());
+    // Each tenant counts what it submitted in this run, not earlier runs' open entries that
+    // were checked too, nor another tenant's on the same FHIR base.
+    const key = e => [e.tenant, e.fhirBase, e.flowMode, e.encounterId].join('|');
+    outcomes.forEach((o, i) => {
+      const mine = new Set(submitted[i].map(key));
+      o.ecrStatus = countEcrStates(entries.filter(e => mine.has(key(e))));
+    });
+  }
+
+  const summary = buildRunSummary({
+    runId,
+    flowMode: CFG.FLOW_MODE,
+    startedAt,
+    dryRun: CFG.DRY_RUN,
+    tenants: outcomes
+  });
+  const file = writeRunSummary(CFG.OUTPUT_DIR, summary);
+  logger.info('Run summary', { ...summary.counts, failureReasons: summary.failureReasons, ecrStatus: summary.ecrStatus, file });
+  if (settings.hasTenants) {
+    for (const t of summary.tenants) {
+      logger.info('Tenant summary', { tenant: t.tenant, ...t.counts, error: t.error });
     }
-    console.log('🎉 Done.');
+  }
+  return summary;
+}
+
+// ---------- follow-up: what eCRNow made of each submission (TRACK_ECR_STATUS) ----------
+// The accepted submissions in one tenant's results, as status items.
+function submittedItems({ tenant, fhirBase, results }) {
+  return results
+    .filter(r => r.outcome === 'ok')
+    .map(r => ({
+      encounterId: r.encounterId,
+      patientId: r.patientId ?? null,
+      fhirBase,
+      tenant: settings.hasTenants ? tenant : undefined,
+      flowMode: CFG.FLOW_MODE,
+      requestId: r.requestId
+    }));
+}
+
+/**
+ * Check eCRNow's eICR / RR status for `submitted` plus every earlier submission (to the
+ * selected tenants) that is not final yet; see utils/ecrStatus.js. Resolves to the latest
+ * status entry per encounter.
+ */
+export async function trackSubmissions(submitted = [], { waitSeconds = CFG.ECR_STATUS_WAIT_SECONDS } = {}) {
+  const statusLog = openEcrStatusLog({ outputDir: CFG.OUTPUT_DIR });
+  const submittedAt = new Date().toISOString();
+  for (const item of submitted) statusLog.record({ ...item, submittedAt, state: 'submitted' });
+
+  const servers = new Set(tenants.map(t => t.cfg.FHIR_BASE));
+  const items = statusLog.latest()
+    .filter(e => servers.has(e.fhirBase) && !FINAL_ECR_STATES.has(e.state))
+    .map(({ encounterId, patientId, fhirBase, tenant, flowMode, requestId, submittedAt }) =>
+      ({ encounterId, patientId, fhirBase, tenant, flowMode, requestId, submittedAt }));
+  if (!items.length) return [];
+
+  logger.info('Checking eCRNow processing status', { encounters: items.length, waitSeconds });
+  const entries = await trackEcrStatus({
+    items,
+    check: item => fetchEcrStatus({
+      apiBase: CFG.ECRNOW_API_BASE,
+      eicrPath: CFG.ECRNOW_EICR_PATH,
+      launchStatusPath: CFG.ECRNOW_LAUNCH_STATUS_PATH,
+      token: ecrTokens,
+      item
+    }),
+    statusLog,
+    exportDir: item => (CFG.EXPORT_ECR_DOCUMENTS
+      ? path.join(CFG.OUTPUT_DIR, 'ecr-documents', ...(item.tenant ? [safeName(item.tenant)] : []), safeName(item.encounterId))
+      : null),
+    waitMs: waitSeconds * 1000,
+    pollMs: CFG.ECR_STATUS_POLL_SECONDS * 1000,
+    maxAgeMs: CFG.ECR_STATUS_MAX_AGE_HOURS * 3600 * 1000,
+    concurrency: CFG.SUBMIT_CONCURRENCY
+  });
+  logger.info('eCRNow processing status', { ...countEcrStates(entries), file: statusLog.file });
+  return entries;
+}
+
+// ---------- search only (CLI "search") ----------
+/** Run the encounter query for every tenant without submitting; watermarks are neither read nor moved. */
+export async function searchEncounters() {
+  const out = [];
+  for (const tenant of tenants) {
+    if (settings.hasTenants) setLogContext({ tenant: tenant.name });
+    await authenticate(tenant);
+    const encounters = await fetchEncounters(tenant, tenantWindow(tenant.cfg, null));
+    const { filtered } = selectEligible(tenant.cfg, encounters);
+    out.push({ tenant: tenant.name, fhirBase: tenant.cfg.FHIR_BASE, encounters, filtered });
+  }
+  setLogContext({ tenant: undefined });
+  return out;
+}
+
+// ---------- raw token responses (CLI "token") ----------
+/** A fresh token response from eCRNow, or from a FHIR tenant (default: the first). */
+export async function requestToken(target, tenantName) {
+  if (target === 'ecrnow') return requestEcrToken();
+  const tenant = tenantName ? tenants.find(t => t.name === tenantName) : tenants[0];
+  if (!tenant) throw new Error(`Unknown tenant: ${tenantName}`);
+  return withJwksServer(() => requestFhirToken(tenant.cfg));
+}
+
+// ---------- JWKS endpoint: the public keys of every selected tenant's key store ----------
+export function serveJwks() {
+  return startJwksServer({
+    keysDirs: [...new Set(tenants.map(t => t.cfg.KEYS_DIR))],
+    port: CFG.JWKS_PORT,
+    host: CFG.JWKS_HOST,
+    path: CFG.JWKS_PATH
+  });
+}
+
+// With JWKS_SERVE the EHR can fetch our keys (jku / registered JWKS URL) while `task` runs.
+async function withJwksServer(task) {
+  if (!CFG.JWKS_SERVE) return task();
+  const server = await serveJwks();
+  try {
+    return await task();
+  } finally {
+    await server.close();
+  }
+}
+
+// ---------- run once, or every DAEMON_INTERVAL; resolves to an exit code ----------
+export async function runFlow() {
+  try {
+    return await withJwksServer(async () => {
+      if (CFG.DAEMON_INTERVAL) {
+        const intervalMs = parseInterval(CFG.DAEMON_INTERVAL);
+        logger.info('Daemon mode started (Ctrl+C to stop)', { interval: CFG.DAEMON_INTERVAL });
+        await runEvery(intervalMs, async () => {
+          await runOnce();
+          logger.info('Run done');
+        }, { onError: e => logger.error('Run failed', { status: e.response?.status, error: e.response?.data ?? e.message }) });
+        logger.info('Daemon stopped');
+        return EXIT_CODES.OK;
+      }
+      const summary = await runOnce();
+      logger.info('Done');
+      return summary.counts.failed || summary.counts.tenantsFailed ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    });
+  } catch (e) {
+    logger.error('Fatal', { status: e.response?.status, error: e.response?.data ?? e.message });
+    return EXIT_CODES.ERROR;
+  }
+}
+
+// ---------- listener: encounter-end notifications from a FHIR Subscription (DETECTION_MODE=subscription) ----------
+export async function runListener() {
+  try {
+    return await withJwksServer(listen);
   } catch (e) {
-    console.error('Fatal:', e.response?.data || e.message);
-    process.exit(1);
+    logger.error('Fatal', { status: e.response?.status, error: e.response?.data ?? e.message });
+    return EXIT_CODES.ERROR;
   }
-})();
+}
+
+async function listen() {
+  const topic = CFG.SUBSCRIPTION_TOPIC || ENCOUNTER_END_TOPIC;
+  const ledger = openLedger({ outputDir: CFG.OUTPUT_DIR });
+  logger.info('Getting eCRNow access token');
+  await ecrTokens.getToken();
+
+  // One Subscription per tenant, told apart by the notification path (<LISTENER_PATH>/<tenant>).
+  // Notifications are handled one at a time, in the order they arrive.
+  const routes = new Map();
+  let queue = Promise.resolve();
+  const listener = await startNotificationListener({
+    host: CFG.LISTENER_HOST,
+    port: CFG.LISTENER_PORT,
+    path: CFG.LISTENER_PATH,
+    secret: CFG.LISTENER_SECRET,
+    onNotification: (note, { route }) => {
+      const sub = routes.get(route);
+      if (!sub) {
+        logger.warn('Notification for an unknown route ignored', { route });
+        return;
+      }
+      queue = queue
+        .then(() => handleNotification(sub, note, ledger))
+        .catch(e => logger.error('Notification handling failed', { status: e.response?.status, error: e.response?.data ?? e.message }))
+        .finally(() => setLogContext({ tenant: undefined }));
+    }
+  });
+
+  const subscribed = [];
+  try {
+    for (const tenant of tenants) {
+      if (settings.hasTenants) setLogContext({ tenant: tenant.name });
+      try {
+        subscribed.push(await subscribeTenant(tenant, topic, routes));
+      } catch (e) {
+        if (!settings.hasTenants) throw e;
+        logger.error('Tenant failed', { status: e.response?.status, error: e.response?.data ?? e.message });
+      }
+    }
+    setLogContext({ tenant: undefined });
+    if (!subscribed.length) throw new Error('No tenant could register a Subscription');
+
+    logger.info('Listening for encounter-end notifications (Ctrl+C to stop)', { subscriptions: subscribed.length, topic });
+    await untilStopped(() => subscribed.forEach(checkHeartbeat));
+    await queue;
+  } finally {
+    for (const sub of subscribed) await unsubscribe(sub);
+    await listener.close();
+  }
+  logger.info('Listener stopped');
+  return EXIT_CODES.OK;
+}
+
+async function subscribeTenant(tenant, topic, routes) {
+  const { cfg } = tenant;
+  await authenticate(tenant);
+  const support = await checkSubscriptionSupport({ fhirBase: cfg.FHIR_BASE, token: tenant.fhirTokens, topic });
+  if (!support.supported) throw new Error(`${cfg.FHIR_BASE} does not support this Subscription: ${support.reason}`);
+
+  const route = settings.hasTenants ? safeName(tenant.name) : '';
+  const endpoint = route ? `${CFG.LISTENER_PUBLIC_URL.replace(/\/+$/, '')}/${route}` : CFG.LISTENER_PUBLIC_URL;
+  // Registered before the POST: servers send the handshake while the create is in flight.
+  const sub = { tenant, route, id: null, lastEvent: null, lastSeen: Date.now(), quiet: false };
+  routes.set(route, sub);
+  try {
+    const created = await registerSubscription({
+      fhirBase: cfg.FHIR_BASE,
+      token: tenant.fhirTokens,
+      subscription: buildSubscription({
+        topic,
+        endpoint,
+        payload: cfg.SUBSCRIPTION_PAYLOAD,
+        filter: cfg.SUBSCRIPTION_FILTER,
+        heartbeatSeconds: CFG.SUBSCRIPTION_HEARTBEAT_SECONDS,
+        secret: CFG.LISTENER_SECRET
+      })
+    });
+    sub.id = created.id;
+    logger.info('Subscription registered', { id: created.id, status: created.status, payload: cfg.SUBSCRIPTION_PAYLOAD, endpoint });
+  } catch (e) {
+    routes.delete(route);
+    throw e;
+  }
+  return sub;
+}
+
+async function handleNotification(sub, note, ledger) {
+  const { tenant } = sub;
+  if (settings.hasTenants) setLogContext({ tenant: tenant.name });
+  if (sub.id && note.subscription && !note.subscription.endsWith(`Subscription/${sub.id}`)) {
+    logger.warn('Notification from another Subscription ignored', { subscription: note.subscription, expected: sub.id });
+    return;
+  }
+  sub.lastSeen = Date.now();
+  sub.quiet = false;
+
+  // Event numbers run on from events-since-subscription-start; a jump means notifications were lost.
+  const numbers = note.events.map(e => e.eventNumber).filter(n => n != null);
+  const isEvent = note.type === 'event-notification';
+  const highest = numbers.length ? Math.max(...numbers) : note.eventsSinceStart;
+  if (sub.lastEvent != null && highest != null) {
+    const firstNew = isEvent ? (numbers.length ? Math.min(...numbers) : highest - note.events.length + 1) : highest + 1;
+    if (firstNew > sub.lastEvent + 1) {
+      logger.warn('Notifications were missed; run a poll over the gap to catch up', { missed: firstNew - sub.lastEvent - 1, lastEvent: sub.lastEvent });
+    }
+  }
+  if (highest != null) sub.lastEvent = Math.max(sub.lastEvent ?? 0, highest);
+
+  switch (note.type) {
+    case 'handshake':
+      logger.info('Subscription handshake', { subscription: note.subscription, status: note.status });
+      return;
+    case 'heartbeat':
+      logger.debug('Subscription heartbeat', { subscription: note.subscription, status: note.status });
+      return;
+    case 'event-notification':
+      break;
+    default:
+      logger.info('Notification ignored', { type: note.type });
+      return;
+  }
+
+  // full-resource payloads carry the Encounter; id-only ones are read from the FHIR server.
+  const encounters = note.events.filter(e => e.resource?.resourceType === 'Encounter').map(e => e.resource);
+  const missing = note.events.filter(e => !e.resource && /(^|\/)Encounter\/[^/]+$/.test(e.focus || '')).map(e => e.focus);
+  if (missing.length) {
+    const found = await resolveReferences({
+      fhirBase: tenant.cfg.FHIR_BASE,
+      token: tenant.fhirTokens,
+      resourceType: 'Encounter',
+      refs: missing,
+      chunkSize: (await searchPlan(tenant)).batchSize,
+      concurrency: tenant.cfg.FETCH_CONCURRENCY
+    });
+    encounters.push(...found.values());
+  }
+
+  const finished = encounters.filter(enc => {
+    if (enc.status === 'finished') return true;
+    logger.info('Encounter not finished; notification ignored', { encounterId: enc.id, status: enc.status });
+    return false;
+  });
+  if (!finished.length) return;
+
+  logger.info('Encounter-end notification', { encounters: finished.map(e => e.id).join(','), flowMode: CFG.FLOW_MODE });
+  const { results } = CFG.FLOW_MODE === 'launch'
+    ? await runLaunchFlow(tenant, null, ledger, finished)
+    : await runNotifyFlow(tenant, null, ledger, finished);
+  for (const r of results) {
+    logger.info('Notification processed', { encounterId: r.encounterId, outcome: r.outcome, detail: r.detail });
+  }
+  // One check per notification: waiting here would hold up the notifications queued behind it.
+  if (CFG.TRACK_ECR_STATUS && !CFG.DRY_RUN) {
+    await trackSubmissions(submittedItems({ tenant: tenant.name, fhirBase: tenant.cfg.FHIR_BASE, results }), { waitSeconds: 0 });
+  }
+}
+
+function checkHeartbeat(sub) {
+  const period = CFG.SUBSCRIPTION_HEARTBEAT_SECONDS * 1000;
+  if (!period || sub.quiet || Date.now() - sub.lastSeen < 2 * period) return;
+  sub.quiet = true;
+  logger.warn('No heartbeat or notification from the FHIR server; the Subscription may be off', {
+    subscription: sub.id,
+    silentSeconds: Math.round((Date.now() - sub.lastSeen) / 1000)
+  });
+}
+
+async function unsubscribe(sub) {
+  if (!sub.id) return;
+  try {
+    await deleteSubscription({ fhirBase: sub.tenant.cfg.FHIR_BASE, token: sub.tenant.fhirTokens, id: sub.id });
+    logger.info('Subscription deleted', { id: sub.id });
+  } catch (e) {
+    logger.warn('Could not delete Subscription', { id: sub.id, status: e.response?.status, error: e.message });
+  }
+}
+
+// Resolves on SIGINT / SIGTERM, calling `tick` every few seconds until then.
+function untilStopped(tick, everyMs = 5000) {
+  return new Promise(resolve => {
+    const timer = setInterval(tick, everyMs);
+    const stop = () => {
+      clearInterval(timer);
+      resolve();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+// ---------- main (npm run run; scripts/cli.js imports this module instead) ----------
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    setup(loadSettings());
+  } catch (e) {
+    // Config problems are reported before any logging is configured, and exit with their own code.
+    console.error(e.message);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  if (CFG.PRINT_CONFIG) process.exit(EXIT_CODES.OK);
+  process.exitCode = CFG.DETECTION_MODE === 'subscription' ? await runListener() : await runFlow();
+}
@@ -0,0 +1,108 @@
+// test/ecrStatus.test.js
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { sampleData } from './mockServer.js';
+import { startMockWithKeys, tempDir, mockEnv, runCli } from './helpers.js';
+import { summarizeEcrRecords } from '../utils/ecrStatus.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+
+// eCRNow processing status after submission: eICR / RR records, validation errors, exports.
+
+let mock;
+
+before(async t => {
+  mock = await startMockWithKeys(t, { clientId: 'test-client', ...sampleData({ count: 3 }) });
+});
+
+// One eCRNow Eicr row, as eicrAndRRData returns it.
+function eicrRow(encounterId, extra = {}) {
+  const n = encounterId.slice(1);
+  return {
+    fhirServerUrl: mock.fhirBase,
+    launchPatientId: `p${n}`,
+    encounterId,
+    eicrDocId: `eicr-${n}`,
+    docVersion: 1,
+    eicrData: `<ClinicalDocument id="eicr-${n}"/>`,
+    ...extra
+  };
+}
+
+test('records reduce to a state, ids, validation errors and documents', () => {
+  assert.equal(summarizeEcrRecords([]).state, 'pending');
+  assert.equal(summarizeEcrRecords([{ eicrDocId: 'a', eicrData: '<x/>' }]).state, 'eicr-generated');
+
+  const failed = summarizeEcrRecords([{ eicrDocId: 'a', eicrData: '<x/>', validationErrors: ['CONF:1198-5254 missing'] }]);
+  assert.deepEqual([failed.state, failed.validationErrors], ['validation-failed', ['CONF:1198-5254 missing']]);
+
+  // A later, valid version replaces the failed one; its RR makes the state final.
+  const done = summarizeEcrRecords([
+    { eicrDocId: 'b', docVersion: 2, eicrData: '<y/>', responseDocId: 'rr-b', responseData: '<rr/>', responseType: 'RR' },
+    { eicrDocId: 'a', docVersion: 1, eicrData: '<x/>', validationStatus: 'FAILED' }
+  ]);
+  assert.equal(done.state, 'rr-received');
+  assert.deepEqual([done.eicrIds, done.rrIds, done.rrType, done.validationErrors], [['a', 'b'], ['rr-b'], 'RR', []]);
+  assert.deepEqual(done.documents.map(d => `${d.kind}-${d.id}`), ['eicr-a', 'eicr-b', 'rr-rr-b']);
+});
+
+test('a run tracks what eCRNow did, exports documents, and `track` follows up', async t => {
+  mock.reset();
+  const dir = tempDir(t);
+  const output = path.join(dir, 'output');
+  const env = mockEnv(mock, output, {
+    KEYS_DIR: mock.options.keysDir,
+    TRACK_ECR_STATUS: 'true',
+    ECRNOW_LAUNCH_STATUS_PATH: '/api/launchStatus'
+  });
+  mock.eicrs.push(
+    eicrRow('e1', { responseDocId: 'rr-1', responseData: '<RR id="rr-1"/>', responseType: 'RR' }),
+    eicrRow('e2'),
+    eicrRow('e3', { validationErrors: ['CONF:4482-1 effectiveTime missing'] })
+  );
+
+  const run = await runCli(['notify', '--once'], { env, cwd: dir });
+  assert.equal(run.code, EXIT_CODES.OK, run.stderr);
+
+  const [summaryFile] = fs.readdirSync(path.join(output, 'runs'));
+  const summary = JSON.parse(fs.readFileSync(path.join(output, 'runs', summaryFile), 'utf8'));
+  assert.deepEqual(summary.ecrStatus, { 'rr-received': 1, 'eicr-generated': 1, 'validation-failed': 1 });
+
+  const docs = path.join(output, 'ecr-documents');
+  assert.deepEqual(fs.readdirSync(path.join(docs, 'e1')).sort(), ['eicr-eicr-1.xml', 'rr-rr-1.xml']);
+  assert.equal(fs.readFileSync(path.join(docs, 'e1', 'rr-rr-1.xml'), 'utf8'), '<RR id="rr-1"/>');
+
+  const status = await runCli(['status', '--json'], { env, cwd: dir });
+  assert.deepEqual(JSON.parse(status.stdout).map(r => [r.encounterId, r.ecr]).sort(),
+    [['e1', 'rr-received'], ['e2', 'eicr-generated'], ['e3', 'validation-failed']]);
+
+  // The next run checks e2 again but counts only what it submitted itself.
+  const launch = await runCli(['launch', '--encounter', 'e1'], { env: { ...env, FLOW_MODE: 'launch' }, cwd: dir });
+  assert.equal(launch.code, EXIT_CODES.OK, launch.stderr);
+  const launchFile = fs.readdirSync(path.join(output, 'runs')).find(f => f !== summaryFile);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(output, 'runs', launchFile), 'utf8')).ecrStatus, { 'rr-received': 1 });
+
+  // Later the RR for e2 arrives; only e2 is still open.
+  mock.eicrs.splice(1, 1, eicrRow('e2', { responseDocId: 'rr-2', responseData: '<RR id="rr-2"/>' }));
+  mock.requests.length = 0;
+  const tracked = await runCli(['track', '--json'], { env, cwd: dir });
+  assert.equal(tracked.code, EXIT_CODES.OK, tracked.stderr);
+  const entries = JSON.parse(tracked.stdout);
+  assert.deepEqual(entries.map(e => [e.encounterId, e.state, e.launchStatus]), [['e2', 'rr-received', 'launched']]);
+  assert.equal(mock.requests.filter(r => r.path === '/api/eicrAndRRData').length, 1);
+  assert.ok(fs.existsSync(path.join(docs, 'e2', 'rr-rr-2.xml')));
+
+  const lines = fs.readFileSync(path.join(output, 'ecr-status.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+  assert.deepEqual(lines.filter(l => l.encounterId === 'e2').map(l => l.state), ['submitted', 'eicr-generated', 'rr-received']);
+});
+
+test('without TRACK_ECR_STATUS nothing is polled', async t => {
+  mock.reset();
+  const dir = tempDir(t);
+  const env = mockEnv(mock, path.join(dir, 'output'), { KEYS_DIR: mock.options.keysDir });
+  const run = await runCli(['launch', '--encounter', 'e1'], { env, cwd: dir });
+  assert.equal(run.code, EXIT_CODES.OK, run.stderr);
+  assert.ok(!mock.requests.some(r => r.path === '/api/eicrAndRRData'));
+  assert.ok(!fs.existsSync(path.join(dir, 'output', 'ecr-status.jsonl')));
+});
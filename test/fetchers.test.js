@@ -0,0 +1,116 @@
+// test/fetchers.test.js
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, sampleData } from './mockServer.js';
+import { quietHttp, secretTokens } from './helpers.js';
+import { fetchEncountersByDateRange, fetchEncountersByConditionCodes } from '../utils/fhirQueries.js';
+import { fetchEncountersByConditionCodesPost } from '../utils/fhirQueriesPost.js';
+import { fetchEncountersFromSources } from '../utils/encounterSources.js';
+
+const CODE = 'http://snomed.info/sct|840539006';
+const ids = list => list.map(e => e.id).sort();
+
+let mock;
+let token;
+
+before(async () => {
+  quietHttp();
+  mock = await startMockServer({ clientSecret: 's3cret', maxPageSize: 2, ...sampleData({ count: 5 }) });
+  token = secretTokens(mock);
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  mock.reset();
+  Object.assign(mock.options, { include: true, batch: true, exportPolls: 1 });
+});
+
+const searches = path => mock.requests.filter(r => r.path === path);
+
+test('date search follows next links across pages', async () => {
+  const all = await fetchEncountersByDateRange({ fhirBase: mock.fhirBase, token, start: '2025-01-01', end: '2025-01-31' });
+  assert.deepEqual(ids(all), ['e1', 'e2', 'e3', 'e4', 'e5']);
+  assert.equal(searches('/fhir/Encounter').length, 3);
+
+  const window = await fetchEncountersByDateRange({ fhirBase: mock.fhirBase, token, start: '2025-01-02', end: '2025-01-04' });
+  assert.deepEqual(ids(window), ['e2', 'e3', 'e4']);
+});
+
+test('Condition GET search uses _include when the server honours it', async () => {
+  const found = await fetchEncountersByConditionCodes({ fhirBase: mock.fhirBase, token, codesCsv: CODE, dateField: 'recorded-date', start: '2025-01-01' });
+  assert.deepEqual(ids(found), ['e1', 'e2', 'e3', 'e4', 'e5']);
+  assert.equal(mock.requests.filter(r => r.path === '/fhir').length, 0, 'no batch reads needed');
+});
+
+test('Condition GET search resolves references through batch without _include', async () => {
+  mock.options.include = false;
+  const found = await fetchEncountersByConditionCodes({ fhirBase: mock.fhirBase, token, codesCsv: CODE, dateField: 'recorded-date' });
+  assert.deepEqual(ids(found), ['e1', 'e2', 'e3', 'e4', 'e5']);
+  assert.ok(mock.requests.some(r => r.method === 'POST' && r.path === '/fhir'));
+});
+
+test('Condition POST search with and without _include', async () => {
+  const included = await fetchEncountersByConditionCodesPost({ fhirBase: mock.fhirBase, token, codesCsv: CODE, dateField: 'recorded-date' });
+  assert.deepEqual(ids(included), ['e1', 'e2', 'e3', 'e4', 'e5']);
+
+  Object.assign(mock.options, { include: false, batch: false });
+  mock.reset();
+  const resolved = await fetchEncountersByConditionCodesPost({ fhirBase: mock.fhirBase, token, codesCsv: CODE, dateField: 'recorded-date' });
+  assert.deepEqual(ids(resolved), ['e1', 'e2', 'e3', 'e4', 'e5']);
+  assert.ok(searches('/fhir/Encounter/e1').length, 'fell back to individual reads');
+});
+
+test('codes that match nothing return no Encounters', async () => {
+  const found = await fetchEncountersByConditionCodesPost({ fhirBase: mock.fhirBase, token, codesCsv: 'http://snomed.info/sct|0', dateField: 'recorded-date' });
+  assert.deepEqual(found, []);
+});
+
+test('ids and patients sources', async () => {
+  const ctx = { fhirBase: mock.fhirBase, token, dateField: 'date', start: '2025-01-01', end: '2025-01-31' };
+  const byId = await fetchEncountersFromSources({ ...ctx, sources: ['ids'], encounterIds: ['e2', 'Encounter/e4', 'missing'] });
+  assert.deepEqual(ids(byId), ['e2', 'e4']);
+
+  const byPatient = await fetchEncountersFromSources({ ...ctx, sources: ['patients'], patientIds: ['p1', 'p3'] });
+  assert.deepEqual(ids(byPatient), ['e1', 'e3']);
+});
+
+test('bulk source: _since as an instant, the window end on exported Encounters, an HTTP-date Retry-After', { timeout: 15000 }, async () => {
+  // Waiting the 60 s poll interval would time the test out: the wait must come from Retry-After.
+  const bulk = { groupId: 'g1', pollIntervalMs: 60000, maxWaitMs: 30000 };
+  const ctx = { fhirBase: mock.fhirBase, token, dateField: 'date', start: '2025-01-02', end: '2025-01-04', bulk };
+  const found = await fetchEncountersFromSources({ ...ctx, sources: ['bulk'], codesCsv: CODE });
+  assert.deepEqual(ids(found), ['e2', 'e3', 'e4']);
+  assert.deepEqual(mock.exports, [{ path: '/fhir/Group/g1/$export', since: '2025-01-02T00:00:00.000Z', types: ['Encounter', 'Condition'] }]);
+  const status = mock.requests.filter(r => r.path.startsWith('/fhir/_export/') && !r.path.endsWith('.ndjson'));
+  assert.deepEqual(status.map(r => [r.method, r.status]), [['GET', 202], ['GET', 200], ['DELETE', 202]]);
+
+  mock.options.exportPolls = 0;
+  const none = await fetchEncountersFromSources({ ...ctx, sources: ['bulk'], codesCsv: 'http://snomed.info/sct|0' });
+  assert.deepEqual(none, []);
+});
+
+test('429 and 500 on searches are retried', async () => {
+  mock.fail({ path: '/fhir/Encounter', status: 429, headers: { 'Retry-After': '0' } });
+  mock.fail({ path: '/fhir/Encounter', status: 500 });
+  const found = await fetchEncountersByDateRange({ fhirBase: mock.fhirBase, token, start: '2025-01-01', end: '2025-01-02' });
+  assert.deepEqual(ids(found), ['e1', 'e2']);
+  assert.deepEqual(searches('/fhir/Encounter').map(r => r.status), [429, 500, 200]);
+});
+
+test('a 401 refreshes the token and retries once', async () => {
+  await token.getToken();
+  mock.revokeTokens();
+  const found = await fetchEncountersByDateRange({ fhirBase: mock.fhirBase, token, start: '2025-01-01', end: '2025-01-01' });
+  assert.deepEqual(ids(found), ['e1']);
+  assert.deepEqual(mock.requests.map(r => r.status), [401, 200, 200]);
+});
+
+test('retries give up after HTTP_MAX_RETRIES', async () => {
+  mock.fail({ path: '/fhir/Encounter', status: 500, times: 10 });
+  await assert.rejects(
+    fetchEncountersByDateRange({ fhirBase: mock.fhirBase, token, start: '2025-01-01' }),
+    e => e.response?.status === 500
+  );
+  assert.equal(searches('/fhir/Encounter').length, 3);
+});
@@ -0,0 +1,114 @@
+// test/fhirServer.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { sampleData } from './mockServer.js';
+import { quietHttp, secretTokens, startMockWithKeys, tempDir, mockEnv, runCli } from './helpers.js';
+import { planSearches, dateParamFor, nextPageUrl, summarizeCapabilities } from '../utils/fhirServer.js';
+import { fetchEncountersByDateRange, fetchEncountersByConditionCodes } from '../utils/fhirQueries.js';
+import { fetchEncountersFromSources } from '../utils/encounterSources.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+
+// Server capabilities (/metadata), quirk profiles, relative paging links, POST _search fallback.
+
+const CODE = 'http://snomed.info/sct|840539006';
+const ids = list => list.map(e => e.id).sort();
+
+let mock;
+
+before(async t => {
+  quietHttp();
+  mock = await startMockWithKeys(t, { clientSecret: 's3cret', maxPageSize: 2, ...sampleData({ count: 4 }) });
+});
+
+beforeEach(() => {
+  mock.reset();
+  Object.assign(mock.options, { include: true, batch: true, postSearch: true, relativeLinks: false });
+});
+
+test('planning from a CapabilityStatement, profiles and explicit settings', () => {
+  const capabilities = summarizeCapabilities({
+    resourceType: 'CapabilityStatement',
+    fhirVersion: '4.0.1',
+    rest: [{
+      mode: 'server',
+      interaction: [{ code: 'transaction' }],
+      resource: [
+        { type: 'Encounter', searchParam: [{ name: 'date' }, { name: 'patient' }] },
+        { type: 'Condition', searchParam: [{ name: 'code' }, { name: 'onset-date' }], searchInclude: ['Condition:subject'] }
+      ]
+    }]
+  });
+
+  const auto = planSearches({ capabilities });
+  assert.deepEqual([auto.include, auto.postSearch, auto.batchSize, auto.pageSize, auto.conditionNeedsPatient], [false, true, 0, 100, false]);
+  assert.equal(auto.notes.length, 2);
+  assert.deepEqual(dateParamFor(auto, 'Condition', 'recorded-date'), {
+    param: 'onset-date',
+    note: 'recorded-date is not a listed Condition search parameter; using onset-date'
+  });
+  assert.deepEqual(dateParamFor(auto, 'Encounter', '_lastUpdated'), { param: '_lastUpdated' });
+
+  // Explicit settings beat the profile, which beats the CapabilityStatement.
+  const hapi = planSearches({ capabilities, profile: 'hapi', include: 'off', pageSize: 200 });
+  assert.deepEqual([hapi.include, hapi.batchSize, hapi.pageSize], [false, 50, 200]);
+  const epic = planSearches({ capabilities: null, profile: 'epic', postSearch: 'on' });
+  assert.deepEqual([epic.include, epic.postSearch, epic.batchSize, epic.conditionNeedsPatient], [false, true, 0, true]);
+
+  // Without /metadata: R4 defaults, and R4's parameters for each resource.
+  const blind = planSearches({ capabilities: null });
+  assert.deepEqual([blind.include, blind.postSearch, blind.batchSize], [true, true, 50]);
+  assert.equal(dateParamFor(blind, 'Encounter', 'recorded-date').param, 'date');
+  assert.equal(dateParamFor(blind, 'Condition', 'date').param, 'recorded-date');
+
+  assert.throws(() => planSearches({ capabilities: null, profile: 'acme' }), /Unknown server profile "acme"/);
+});
+
+test('relative next links resolve against the base', async () => {
+  assert.equal(nextPageUrl({ link: [{ relation: 'next', url: 'Condition?_getpages=x' }] }, 'https://ehr.example/fhir/r4/'),
+    'https://ehr.example/fhir/r4/Condition?_getpages=x');
+  assert.equal(nextPageUrl({ link: [{ relation: 'next', url: '/other/Encounter?page=2' }] }, 'https://ehr.example/fhir'),
+    'https://ehr.example/other/Encounter?page=2');
+  assert.equal(nextPageUrl({ link: [{ relation: 'self', url: 'x' }] }, 'https://ehr.example/fhir'), null);
+
+  mock.options.relativeLinks = true;
+  const token = secretTokens(mock);
+  const byDate = await fetchEncountersByDateRange({ fhirBase: mock.fhirBase, token, start: '2025-01-01' });
+  assert.deepEqual(ids(byDate), ['e1', 'e2', 'e3', 'e4']);
+  const byCode = await fetchEncountersByConditionCodes({ fhirBase: mock.fhirBase, token, codesCsv: CODE, dateField: 'recorded-date', include: false });
+  assert.deepEqual(ids(byCode), ['e1', 'e2', 'e3', 'e4']);
+  assert.equal(mock.requests.filter(r => r.path === '/fhir/Condition').length, 2, 'one page per 2 Conditions, no _include pass');
+});
+
+test('a refused POST _search falls back to GET', async () => {
+  mock.options.postSearch = false;
+  const found = await fetchEncountersFromSources({
+    sources: ['condition-post'], fhirBase: mock.fhirBase, token: secretTokens(mock), codesCsv: CODE, dateField: 'recorded-date'
+  });
+  assert.deepEqual(ids(found), ['e1', 'e2', 'e3', 'e4']);
+  assert.deepEqual(mock.requests.filter(r => r.path === '/fhir/Condition/_search').map(r => r.status), [405]);
+});
+
+test('the flow plans from /metadata and applies the server profile', async t => {
+  const dir = tempDir(t);
+  const env = mockEnv(mock, path.join(dir, 'output'), {
+    KEYS_DIR: mock.options.keysDir,
+    FLOW_MODE: 'launch',
+    ENCOUNTER_SOURCE: 'conditions',
+    CODES_CSV: CODE,
+    SERVER_PROFILE: 'epic'
+  });
+
+  const missing = await runCli(['launch', '--once'], { env, cwd: dir });
+  assert.notEqual(missing.code, EXIT_CODES.OK);
+  assert.match(missing.stderr, /only searches Conditions per patient/);
+
+  mock.reset();
+  const res = await runCli(['launch', '--once'], { env: { ...env, PATIENT_IDS: 'p1,p3' }, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.OK, res.stderr);
+  assert.deepEqual(mock.launches.map(b => b.encounterId).sort(), ['e1', 'e3']);
+  assert.ok(mock.requests.some(r => r.path === '/fhir/metadata'));
+  // epic: no batch Bundles; Encounters are read one by one.
+  assert.ok(!mock.requests.some(r => r.method === 'POST' && r.path === '/fhir'));
+  assert.ok(mock.requests.some(r => r.path === '/fhir/Encounter/e1'));
+});
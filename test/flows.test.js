@@ -0,0 +1,99 @@
+// test/flows.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { sampleData } from './mockServer.js';
+import { tempDir, mockEnv, runCli, startMockWithKeys } from './helpers.js';
+import { addKeyToStore } from '../utils/keys.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+
+// Both flows end to end through the CLI, as a separate process, against the mock:
+// SMART Backend Services auth with a key store, search, eligibility, submission and the ledger.
+
+let mock;
+
+before(async t => {
+  mock = await startMockWithKeys(t, { clientId: 'test-client', maxPageSize: 2, ...sampleData({ count: 5 }) });
+});
+
+beforeEach(() => mock.reset());
+
+function flowEnv(t, extra) {
+  const dir = tempDir(t);
+  return { dir, env: mockEnv(mock, path.join(dir, 'output'), { KEYS_DIR: mock.options.keysDir, ...extra }) };
+}
+
+test('notify flow submits every eligible Encounter once', async t => {
+  const { dir, env } = flowEnv(t);
+  const first = await runCli(['notify', '--once'], { env, cwd: dir });
+  assert.equal(first.code, EXIT_CODES.OK, first.stderr);
+  assert.deepEqual(mock.notifications.map(b => b.entry[1].resource.id).sort(), ['e1', 'e2', 'e3', 'e4', 'e5']);
+
+  // The ledger makes the second run a no-op.
+  mock.reset();
+  const second = await runCli(['notify', '--once'], { env, cwd: dir });
+  assert.equal(second.code, EXIT_CODES.OK, second.stderr);
+  assert.equal(mock.notifications.length, 0);
+
+  const status = await runCli(['status', '--json'], { env, cwd: dir });
+  assert.equal(status.code, EXIT_CODES.OK);
+  assert.equal(JSON.parse(status.stdout).length, 5);
+});
+
+test('launch flow posts patient and encounter ids for the window', async t => {
+  const { dir, env } = flowEnv(t, { START_DATE: '2025-01-02', END_DATE: '2025-01-03' });
+  const res = await runCli(['launch'], { env, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.OK, res.stderr);
+  assert.deepEqual(
+    mock.launches.map(b => [b.patientId, b.encounterId, b.fhirServerURL]).sort(),
+    [['p2', 'e2', mock.fhirBase], ['p3', 'e3', mock.fhirBase]]
+  );
+});
+
+test('failed submissions give exit code 3 and are retried on the next run', async t => {
+  const { dir, env } = flowEnv(t);
+  mock.fail({ path: '/api/launchPatient', status: 500, times: 10, match: r => r.body?.encounterId === 'e3' });
+  const res = await runCli(['launch', '--encounter', 'e1,e3'], { env, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.PARTIAL, res.stderr);
+  assert.deepEqual(mock.launches.map(b => b.encounterId), ['e1']);
+
+  const failed = await runCli(['status', '--failed', '--json'], { env, cwd: dir });
+  assert.equal(failed.code, EXIT_CODES.PARTIAL);
+  assert.deepEqual(JSON.parse(failed.stdout).map(r => r.encounterId), ['e3']);
+
+  mock.reset();
+  const retry = await runCli(['launch', '--encounter', 'e1,e3'], { env, cwd: dir });
+  assert.equal(retry.code, EXIT_CODES.OK, retry.stderr);
+  assert.deepEqual(mock.launches.map(b => b.encounterId), ['e3']);
+});
+
+test('dry run writes payloads and sends nothing', async t => {
+  const { dir, env } = flowEnv(t);
+  const res = await runCli(['notify', '--dry-run'], { env, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.OK, res.stderr);
+  assert.equal(mock.notifications.length, 0);
+  const [run] = fs.readdirSync(path.join(dir, 'output')).filter(f => f.startsWith('dry-run-'));
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'output', run, 'manifest.json'), 'utf8'));
+  assert.equal(manifest.wouldSend.length, 5);
+});
+
+test('a failed token request is retried with a newly signed client assertion', async t => {
+  const { dir, env } = flowEnv(t, { FLOW_MODE: 'launch' });
+  mock.fail({ path: '/auth/token', status: 500 });
+  const res = await runCli(['launch', '--encounter', 'e1'], { env, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.OK, res.stderr);
+  assert.deepEqual(mock.requests.filter(r => r.path === '/auth/token').map(r => r.status), [500, 200]);
+  const [first, second] = mock.assertionJtis;
+  assert.ok(first && second && first !== second, 'each attempt carries its own jti');
+});
+
+test('a client assertion signed with an unregistered key is rejected', async t => {
+  const other = tempDir(t);
+  await addKeyToStore({ keysDir: other, alg: 'RS384', kid: 'unknown-key' });
+  const { dir, env } = flowEnv(t, { KEYS_DIR: other });
+  const res = await runCli(['launch'], { env, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.ERROR);
+  assert.equal(mock.requests.find(r => r.path === '/auth/token').status, 401);
+  assert.equal(mock.launches.length, 0);
+});
@@ -0,0 +1,118 @@
+// test/helpers.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { http, configureHttp } from '../utils/httpClient.js';
+import { createTokenManager } from '../utils/tokenManager.js';
+import { configureLogger } from '../utils/logger.js';
+import { addKeyToStore } from '../utils/keys.js';
+import { startMockServer } from './mockServer.js';
+
+export const CLI = fileURLToPath(new URL('../scripts/cli.js', import.meta.url));
+
+/** Fast retries, no rate limit and only error logs for in-process tests. */
+export function quietHttp() {
+  configureLogger({ level: 'error', format: 'json' });
+  configureHttp({ maxRetries: 2, retryBaseMs: 1, retryMaxMs: 5, maxRequestsPerSecond: 0 });
+}
+
+export function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecrnow-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Start the mock with a new key store holding one `test-key` (ES384 unless `alg` is given)
+ * as the registered client keys. Call from a `before` hook: the mock is closed and the store
+ * removed after the file's tests. The store is `mock.options.keysDir`.
+ */
+export async function startMockWithKeys(t, { alg = 'ES384', ...options } = {}) {
+  const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecrnow-keys-'));
+  let mock;
+  t.after(async () => {
+    await mock?.close();
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+  await addKeyToStore({ keysDir, alg, kid: 'test-key' });
+  mock = await startMockServer({ keysDir, ...options });
+  return mock;
+}
+
+/** FHIR token manager for the mock, using client_secret_post. */
+export function secretTokens(mock, secret = mock.options.clientSecret) {
+  return createTokenManager({
+    name: 'FHIR',
+    fetchToken: () => http
+      .post(mock.tokenUrl, new URLSearchParams({ grant_type: 'client_credentials', client_id: 'test', client_secret: secret }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      })
+      .then(r => r.data)
+  });
+}
+
+/** Settings pointing the flow at the mock; `extra` wins. */
+export function mockEnv(mock, outputDir, extra = {}) {
+  return {
+    PATH: process.env.PATH,
+    CLIENT_ID: 'test-client',
+    TOKEN_URL: mock.tokenUrl,
+    FHIR_BASE: mock.fhirBase,
+    ECRNOW_API_BASE: mock.ecrBase,
+    ECRNOW_TOKEN_URL: mock.ecrTokenUrl,
+    ECRNOW_CLIENT_ID: 'ecr-client',
+    DATE_FIELD: 'date',
+    START_DATE: '2025-01-01',
+    END_DATE: '2025-01-31',
+    OUTPUT_DIR: outputDir,
+    LOG_FORMAT: 'json',
+    LOG_LEVEL: 'warn',
+    HTTP_MAX_RPS: '0',
+    HTTP_RETRY_BASE_MS: '1',
+    HTTP_RETRY_MAX_MS: '5',
+    ...extra
+  };
+}
+
+/** Start the CLI in `cwd` with only `env` (no .env, no inherited settings); `done` resolves to { code, stdout, stderr }. */
+export function startCli(args, { env, cwd }) {
+  const child = spawn(process.execPath, [CLI, ...args], { env, cwd });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', d => (stdout += d));
+  child.stderr.on('data', d => (stderr += d));
+  const done = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+  return { child, done, output: () => stdout + stderr };
+}
+
+export function runCli(args, opts) {
+  return startCli(args, opts).done;
+}
+
+/** Poll `check` until it returns something truthy; rejects after `timeoutMs`. */
+export async function waitFor(check, { timeoutMs = 10000, what = 'condition' } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+/** A port nothing listens on right now. */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.once('error', reject);
+  });
+}
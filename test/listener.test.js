@@ -0,0 +1,101 @@
+// test/listener.test.js
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { sampleData } from './mockServer.js';
+import { tempDir, mockEnv, startCli, waitFor, freePort, startMockWithKeys } from './helpers.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+
+// `ecrnow listen` against the mock: Subscription registration and handshake, id-only and
+// full-resource event notifications, and clean-up on SIGTERM.
+
+let mock;
+
+before(async t => {
+  mock = await startMockWithKeys(t, { alg: 'RS384', clientId: 'test-client', ...sampleData({ count: 3 }) });
+});
+
+async function listen(t, extra) {
+  const dir = tempDir(t);
+  const port = await freePort();
+  const env = mockEnv(mock, path.join(dir, 'output'), {
+    KEYS_DIR: mock.options.keysDir,
+    LISTENER_PORT: String(port),
+    LISTENER_PUBLIC_URL: `http://127.0.0.1:${port}/notifications`,
+    LISTENER_SECRET: 'hook-secret',
+    LOG_LEVEL: 'info',
+    ...extra
+  });
+  mock.reset();
+  const cli = startCli(['listen'], { env, cwd: dir });
+  t.after(() => cli.child.exitCode === null && cli.child.kill('SIGKILL'));
+  await waitFor(() => mock.subscriptions.length === 1 && cli.output().includes('Subscription handshake'), { what: 'the handshake' });
+  return cli;
+}
+
+test('id-only notifications read the Encounter and submit it once it has finished', async t => {
+  const cli = await listen(t, { SUBSCRIPTION_PAYLOAD: 'id-only' });
+  const [sub] = mock.subscriptions;
+  assert.equal(sub.payload, 'id-only');
+  assert.deepEqual(sub.resource.channel.header, ['Authorization: Bearer hook-secret']);
+
+  assert.deepEqual(await mock.endEncounter('e2', 'in-progress'), [200]);
+  assert.deepEqual(await mock.endEncounter('e1'), [200]);
+  await waitFor(() => mock.notifications.length === 1, { what: 'the eCRNow notification' });
+  assert.equal(mock.notifications[0].entry[1].resource.id, 'e1');
+  assert.ok(mock.requests.some(r => r.path === '/fhir' || r.path === '/fhir/Encounter/e1'), 'Encounter read from the server');
+  assert.match(cli.output(), /Encounter not finished/);
+
+  cli.child.kill('SIGTERM');
+  const { code } = await cli.done;
+  assert.equal(code, EXIT_CODES.OK);
+  assert.equal(mock.subscriptions.length, 0, 'Subscription deleted on shutdown');
+});
+
+test('full-resource notifications are submitted without a read; launch flow', async t => {
+  const cli = await listen(t, { SUBSCRIPTION_PAYLOAD: 'full-resource', FLOW_MODE: 'launch' });
+  await mock.heartbeat();
+  await mock.endEncounter('e3');
+  await waitFor(() => mock.launches.length === 1, { what: 'launchPatient' });
+  assert.deepEqual([mock.launches[0].patientId, mock.launches[0].encounterId], ['p3', 'e3']);
+  assert.ok(!mock.requests.some(r => r.path === '/fhir/Encounter/e3' || r.path === '/fhir'));
+
+  cli.child.kill('SIGTERM');
+  assert.equal((await cli.done).code, EXIT_CODES.OK);
+});
+
+test('notifications without the secret are refused', async t => {
+  const cli = await listen(t);
+  const endpoint = mock.subscriptions[0].resource.channel.endpoint;
+  const res = await fetch(endpoint, { method: 'POST', body: '{}', headers: { 'Content-Type': 'application/fhir+json' } });
+  assert.equal(res.status, 401);
+  cli.child.kill('SIGTERM');
+  await cli.done;
+});
+
+test('malformed paths and oversize bodies are refused without stopping the listener', async t => {
+  const cli = await listen(t, { SUBSCRIPTION_PAYLOAD: 'full-resource', FLOW_MODE: 'launch' });
+  const endpoint = mock.subscriptions[0].resource.channel.endpoint;
+  const post = (url, body, auth = 'Bearer hook-secret') =>
+    fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/fhir+json', Authorization: auth } }).then(r => r.status);
+
+  assert.equal(await post(`${endpoint}/%E0%A4%A`, '{}', 'Bearer wrong'), 401);
+  assert.equal(await post(`${endpoint}/%E0%A4%A`, '{}'), 400);
+  assert.equal(await post(endpoint, `{"pad":"${'x'.repeat(2 * 1024 * 1024)}"}`), 413);
+
+  await mock.endEncounter('e1');
+  await waitFor(() => mock.launches.length === 1, { what: 'launchPatient' });
+  cli.child.kill('SIGTERM');
+  assert.equal((await cli.done).code, EXIT_CODES.OK);
+});
+
+test('a server without Subscription support fails the listener', async t => {
+  mock.options.subscriptions = false;
+  t.after(() => (mock.options.subscriptions = true));
+  const dir = tempDir(t);
+  const port = await freePort();
+  const env = mockEnv(mock, path.join(dir, 'output'), { KEYS_DIR: mock.options.keysDir, LISTENER_PORT: String(port), LISTENER_PUBLIC_URL: `http://127.0.0.1:${port}/notifications` });
+  const { code, stderr, stdout } = await startCli(['listen'], { env, cwd: dir }).done;
+  assert.equal(code, EXIT_CODES.ERROR);
+  assert.match(stdout + stderr, /does not support this Subscription/);
+});
@@ -0,0 +1,568 @@
+// test/mockServer.js
+import http from 'http';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLocalJWKSet, decodeJwt, jwtVerify } from 'jose';
+import { readJwks } from '../utils/keys.js';
+import { ENCOUNTER_END_TOPIC } from '../utils/submitEncounter.js';
+
+const BACKPORT = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/';
+
+// The search parameters the CapabilityStatement lists (and search() implements).
+const SEARCH_PARAMS = {
+  Encounter: ['date', 'patient', 'subject', 'status', '_id'],
+  Condition: ['code', 'recorded-date', 'onset-date', 'patient', 'subject', 'encounter'],
+  Patient: ['_id']
+};
+
+/**
+ * Stand-in for an EHR FHIR server and eCRNow, for running the fetchers and both flows offline.
+ *
+ *   POST /auth/token              FHIR token endpoint: client_credentials with a client assertion
+ *                                 (checked against `jwks` / the `keysDir` JWKS) or a client secret
+ *   GET  /fhir/Encounter          date (period.start) / _lastUpdated / patient / status / _id; paginated
+ *   GET  /fhir/Condition          code / recorded-date / onset-date / patient / encounter; paginated,
+ *   POST /fhir/Condition/_search    with _include=Condition:encounter|subject when `include` is on
+ *                                 (405 when `postSearch` is off); next links relative with `relativeLinks`
+ *   GET  /fhir/<Type>/<id>        Encounter, Condition, Patient reads
+ *   POST /fhir                    batch Bundle of GETs (400 when `batch` is off)
+ *   GET  /fhir/metadata           CapabilityStatement: `searchParams`, searchInclude with `include`, batch
+ *                                 with `batch`, Subscription when `subscriptions` is on
+ *   POST /fhir/Subscription       rest-hook backport Subscriptions: a handshake is sent on create,
+ *   DELETE /fhir/Subscription/<id>  endEncounter() / heartbeat() send notifications
+ *   GET  /fhir/$export            Bulk Data kick-off (also Group/<id>/$export; Prefer: respond-async,
+ *                                 `_since` must be an instant), recorded in `exports`; 202 + Content-Location
+ *   GET  /fhir/_export/<job>      status: 202 with an HTTP-date Retry-After for the first `exportPolls`
+ *                                 polls, then the manifest; DELETE discards the job
+ *   GET  /fhir/_export/<job>/<Type>.ndjson  resources with meta.lastUpdated at or after `_since`
+ *   POST /ecr/token               eCRNow token endpoint (any client id)
+ *   POST /api/launchPatient       recorded in `launches`
+ *   POST /api/receive-notification  recorded in `notifications`
+ *   GET  /api/eicrAndRRData       eCRNow Eicr rows from `eicrs` matching fhirServerUrl / patientId / encounterId
+ *   GET  /api/launchStatus        { status: 'launched' } once launched or notified, else 404
+ *
+ * Unknown search parameters are ignored (lenient handling). FHIR and eCRNow calls need a
+ * bearer token issued by the matching endpoint; `revokeTokens()` makes the next call a 401.
+ * `fail()` injects errors (401/429/500, …) for matching requests.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.port]          - 0 (default) picks a free port
+ * @param {string} [opts.clientId]      - Expected FHIR client id (default: any)
+ * @param {string} [opts.clientSecret]  - Accepted for client_secret_basic / client_secret_post
+ * @param {object} [opts.jwks]          - Registered public keys for client assertions
+ * @param {string} [opts.keysDir]       - Or: read the JWKS from this key store on each request
+ * @param {object[]} [opts.encounters]  - Server data (see sampleData())
+ * @param {object[]} [opts.conditions]
+ * @param {object[]} [opts.patients]
+ * @param {boolean} [opts.include]      - Honour _include (default true)
+ * @param {boolean} [opts.batch]        - Accept batch Bundles (default true)
+ * @param {boolean} [opts.postSearch]   - Accept POST <Type>/_search (default true)
+ * @param {boolean} [opts.relativeLinks] - Relative next links, as some servers send
+ * @param {object} [opts.searchParams]  - Search parameters listed per type (default: the implemented ones)
+ * @param {number} [opts.maxPageSize]   - Cap on _count, to force paging (default 50)
+ * @param {number} [opts.exportPolls]   - $export status polls answered "in progress" (default 1)
+ * @param {boolean} [opts.subscriptions] - Offer Subscriptions in the CapabilityStatement (default true)
+ * @returns {Promise<object>}           - URLs, recorded traffic, fail(), revokeTokens(), close()
+ */
+export function startMockServer(opts = {}) {
+  const options = {
+    include: true,
+    batch: true,
+    postSearch: true,
+    subscriptions: true,
+    maxPageSize: 50,
+    exportPolls: 1,
+    searchParams: SEARCH_PARAMS,
+    encounters: [],
+    conditions: [],
+    patients: [],
+    ...opts
+  };
+  const fhirTokens = new Set();
+  const ecrTokens = new Set();
+  const seenJti = new Set();
+  const faults = [];
+  const exportJobs = new Map();
+  const mock = {
+    options,
+    requests: [],
+    launches: [],
+    notifications: [],
+    subscriptions: [],
+    eicrs: [],
+    exports: [], // $export kick-offs: { path, since, types }
+    assertionJtis: [], // jti of every client assertion sent to /auth/token, injected failures included
+
+    /**
+     * Answer the next `times` requests matching `method` / `path` (string or RegExp on the
+     * pathname) / `match(req)` with `status`. `req` is { method, path, query, form, body }.
+     */
+    fail({ method, path: p, match, status, times = 1, headers = {}, body }) {
+      faults.push({ method, path: p, match, status, left: times, headers, body });
+    },
+    /**
+     * Mark an Encounter finished and notify every Subscription (id-only or full-resource,
+     * as each asked). Resolves to the HTTP statuses the listeners answered with.
+     */
+    endEncounter(id, status = 'finished') {
+      const enc = options.encounters.find(e => e.id === id);
+      if (!enc) throw new Error(`Unknown Encounter ${id}`);
+      enc.status = status;
+      return Promise.all(mock.subscriptions.map(sub => {
+        sub.events++;
+        return deliver(sub, 'event-notification', enc);
+      }));
+    },
+    heartbeat() {
+      return Promise.all(mock.subscriptions.map(sub => deliver(sub, 'heartbeat')));
+    },
+    revokeTokens() {
+      fhirTokens.clear();
+      ecrTokens.clear();
+    },
+    reset() {
+      faults.length = 0;
+      mock.requests.length = 0;
+      mock.launches.length = 0;
+      mock.notifications.length = 0;
+      mock.eicrs.length = 0;
+      mock.exports.length = 0;
+      mock.assertionJtis.length = 0;
+      exportJobs.clear();
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', d => (raw += d));
+    req.on('end', () => {
+      handle(req, raw)
+        .catch(e => ({ ...reply(500, outcome('exception', e.message)), path: req.url }))
+        .then(r => {
+          mock.requests.push({ method: req.method, path: r.path, status: r.status });
+          res.writeHead(r.status, { 'Content-Type': r.type || 'application/fhir+json', ...r.headers });
+          res.end(r.text ?? (r.body === undefined ? undefined : JSON.stringify(r.body)));
+        });
+    });
+  });
+
+  async function handle(req, raw) {
+    const url = new URL(req.url, mock.url);
+    const type = req.headers['content-type'] || '';
+    const form = type.includes('x-www-form-urlencoded') ? new URLSearchParams(raw) : null;
+    const body = raw && type.includes('json') ? JSON.parse(raw) : undefined;
+    const r = { method: req.method, path: url.pathname, query: url.searchParams, form, body };
+    if (r.path === '/auth/token' && form?.get('client_assertion')) {
+      try {
+        mock.assertionJtis.push(decodeJwt(form.get('client_assertion')).jti);
+      } catch {
+        mock.assertionJtis.push(undefined);
+      }
+    }
+
+    const fault = faults.find(f => f.left > 0
+      && (!f.method || f.method === r.method)
+      && (!f.path || (f.path instanceof RegExp ? f.path.test(r.path) : f.path === r.path))
+      && (!f.match || f.match(r)));
+    if (fault) {
+      fault.left--;
+      return { ...reply(fault.status, fault.body ?? outcome('transient', `Injected ${fault.status}`), fault.headers), path: r.path };
+    }
+    return { ...(await route(req, r)), path: r.path };
+  }
+
+  async function route(req, r) {
+    if (r.method === 'POST' && r.path === '/auth/token') return fhirToken(req, r.form);
+    if (r.method === 'POST' && r.path === '/ecr/token') return issue(ecrTokens, r.form);
+
+    if (r.path.startsWith('/api/')) {
+      if (!ecrTokens.has(bearer(req))) return reply(401, { error: 'invalid_token' });
+      if (r.method === 'POST' && r.path === '/api/launchPatient') {
+        mock.launches.push(r.body);
+        return reply(200, { message: `Launched patient ${r.body?.patientId}` }, {}, 'application/json');
+      }
+      if (r.method === 'POST' && r.path === '/api/receive-notification') {
+        mock.notifications.push(r.body);
+        return reply(200, { message: 'Notification accepted' }, {}, 'application/json');
+      }
+      if (r.method === 'GET' && r.path === '/api/eicrAndRRData') {
+        const q = ['fhirServerUrl', 'patientId', 'encounterId'].filter(k => r.query.has(k));
+        return reply(200, mock.eicrs.filter(e => q.every(k => String(e[k === 'patientId' ? 'launchPatientId' : k]) === r.query.get(k))), {}, 'application/json');
+      }
+      if (r.method === 'GET' && r.path === '/api/launchStatus') {
+        const id = r.query.get('encounterId');
+        const seen = mock.launches.some(b => b.encounterId === id)
+          || mock.notifications.some(b => b.entry?.some(e => e.resource?.resourceType === 'Encounter' && e.resource.id === id));
+        return seen ? reply(200, { status: 'launched' }, {}, 'application/json') : reply(404, { error: 'not found' });
+      }
+      return reply(404, { error: 'not found' });
+    }
+
+    if (!r.path.startsWith('/fhir')) return reply(404, outcome('not-found', `No route ${r.path}`));
+    if (!fhirTokens.has(bearer(req))) return reply(401, outcome('login', 'Missing or unknown bearer token'));
+
+    const parts = r.path.slice('/fhir'.length).split('/').filter(Boolean);
+    if (r.method === 'GET' && parts[0] === 'metadata') return reply(200, capabilityStatement());
+    if (parts[0] === 'Subscription') return subscription(r, parts[1]);
+    if (r.method === 'GET' && parts.at(-1) === '$export') return exportKickOff(req, r);
+    if (parts[0] === '_export') return exportJob(r, parts[1], parts[2]);
+    if (r.method === 'POST' && parts.length === 0) return batch(r.body);
+    if (r.method === 'POST' && parts[1] === '_search') {
+      if (!options.postSearch) return reply(405, outcome('not-supported', 'POST _search is not supported'));
+      return search(parts[0], r.form || new URLSearchParams());
+    }
+    if (r.method === 'GET' && parts.length === 1) return search(parts[0], r.query);
+    if (r.method === 'GET' && parts.length === 2) return read(parts[0], parts[1]);
+    return reply(404, outcome('not-supported', `${r.method} ${r.path}`));
+  }
+
+  // ---------- auth ----------
+  async function fhirToken(req, form) {
+    if (form?.get('grant_type') !== 'client_credentials') return reply(400, { error: 'unsupported_grant_type' });
+    const assertion = form.get('client_assertion');
+    let clientId = form.get('client_id');
+
+    if (assertion) {
+      const jwks = options.jwks || readJwks(options.keysDir);
+      try {
+        const { payload } = await jwtVerify(assertion, createLocalJWKSet(jwks), {
+          audience: mock.tokenUrl,
+          issuer: options.clientId ?? clientId,
+          subject: options.clientId ?? clientId,
+          maxTokenAge: '5m'
+        });
+        if (!payload.jti || seenJti.has(payload.jti)) throw new Error('jti missing or already used');
+        seenJti.add(payload.jti);
+        clientId = payload.iss;
+      } catch (e) {
+        return reply(401, { error: 'invalid_client', error_description: e.message });
+      }
+    } else {
+      const basic = req.headers.authorization?.startsWith('Basic ')
+        ? Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':')
+        : null;
+      if (basic) clientId = basic[0];
+      const secret = basic ? basic[1] : form.get('client_secret');
+      if (!options.clientSecret || secret !== options.clientSecret) {
+        return reply(401, { error: 'invalid_client', error_description: 'Bad client secret' });
+      }
+    }
+    if (options.clientId && clientId !== options.clientId) return reply(401, { error: 'invalid_client', error_description: 'Unknown client' });
+    return issue(fhirTokens, form);
+  }
+
+  function issue(tokens, form) {
+    if (form?.get('grant_type') !== 'client_credentials') return reply(400, { error: 'unsupported_grant_type' });
+    const token = randomUUID();
+    tokens.add(token);
+    return reply(200, { access_token: token, token_type: 'Bearer', expires_in: 300, scope: form.get('scope') || undefined }, {}, 'application/json');
+  }
+
+  // ---------- Subscriptions ----------
+  function capabilityStatement() {
+    const resource = ['Encounter', 'Condition', 'Patient'].map(type => ({
+      type,
+      interaction: [{ code: 'read' }, { code: 'search-type' }],
+      searchParam: (options.searchParams[type] || []).map(name => ({ name, type: name.endsWith('date') || name === '_lastUpdated' ? 'date' : 'token' })),
+      ...(type === 'Condition' && options.include ? { searchInclude: ['Condition:encounter', 'Condition:subject'] } : {})
+    }));
+    if (options.subscriptions) resource.push({ type: 'Subscription', interaction: [{ code: 'create' }, { code: 'delete' }] });
+    return {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      kind: 'instance',
+      fhirVersion: '4.0.1',
+      format: ['json'],
+      rest: [{
+        mode: 'server',
+        interaction: options.batch ? [{ code: 'batch' }] : [],
+        resource,
+        extension: [{ url: `${BACKPORT}capabilitystatement-subscriptiontopic-canonical`, valueCanonical: ENCOUNTER_END_TOPIC }]
+      }]
+    };
+  }
+
+  function subscription(r, id) {
+    if (r.method === 'DELETE' && id) {
+      const i = mock.subscriptions.findIndex(s => s.resource.id === id);
+      if (i < 0) return reply(404, outcome('not-found', `Subscription/${id} is not known`));
+      mock.subscriptions.splice(i, 1);
+      return reply(204);
+    }
+    if (r.method !== 'POST' || id) return reply(405, outcome('not-supported', `${r.method} ${r.path}`));
+    if (!options.subscriptions) return reply(404, outcome('not-supported', 'Subscriptions are not supported'));
+    if (r.body?.resourceType !== 'Subscription' || r.body.channel?.type !== 'rest-hook' || !r.body.channel.endpoint) {
+      return reply(400, outcome('invalid', 'Expected a rest-hook Subscription'));
+    }
+    const resource = { ...r.body, id: randomUUID(), status: 'active' };
+    const payload = resource.channel._payload?.extension?.find(e => e.url === `${BACKPORT}backport-payload-content`)?.valueCode || 'id-only';
+    const sub = { resource, payload, events: 0 };
+    mock.subscriptions.push(sub);
+    setImmediate(() => deliver(sub, 'handshake').catch(() => {}));
+    return reply(201, resource);
+  }
+
+  // POST a notification Bundle to the Subscription's endpoint, with its channel headers.
+  async function deliver(sub, type, focus) {
+    const { resource } = sub;
+    const subscriptionUrl = `${mock.fhirBase}/Subscription/${resource.id}`;
+    const focusUrl = focus ? `${mock.fhirBase}/Encounter/${focus.id}` : null;
+    const parameter = [
+      { name: 'subscription', valueReference: { reference: subscriptionUrl } },
+      { name: 'topic', valueCanonical: resource.criteria },
+      { name: 'status', valueCode: 'active' },
+      { name: 'type', valueCode: type },
+      { name: 'events-since-subscription-start', valueString: String(sub.events) }
+    ];
+    if (focus) {
+      parameter.push({
+        name: 'notification-event',
+        part: [{ name: 'event-number', valueString: String(sub.events) }, { name: 'focus', valueReference: { reference: focusUrl } }]
+      });
+    }
+    const entry = [{ fullUrl: `urn:uuid:${randomUUID()}`, resource: { resourceType: 'Parameters', parameter } }];
+    if (focus && sub.payload === 'full-resource') entry.push({ fullUrl: focusUrl, resource: focus });
+
+    const headers = { 'Content-Type': 'application/fhir+json' };
+    for (const h of resource.channel.header || []) {
+      const at = h.indexOf(':');
+      headers[h.slice(0, at).trim()] = h.slice(at + 1).trim();
+    }
+    const res = await fetch(resource.channel.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ resourceType: 'Bundle', type: 'history', timestamp: new Date().toISOString(), entry })
+    });
+    return res.status;
+  }
+
+  // ---------- FHIR ----------
+  const collections = () => ({ Encounter: options.encounters, Condition: options.conditions, Patient: options.patients });
+
+  function read(type, id) {
+    const found = collections()[type]?.find(x => x.id === id);
+    return found ? reply(200, found) : reply(404, outcome('not-found', `${type}/${id} is not known`));
+  }
+
+  function batch(bundle) {
+    if (!options.batch) return reply(400, outcome('not-supported', 'Batch is not supported'));
+    if (bundle?.resourceType !== 'Bundle' || bundle.type !== 'batch') return reply(400, outcome('invalid', 'Expected a batch Bundle'));
+    const entry = (bundle.entry || []).map(e => {
+      const [type, id] = String(e.request?.url || '').split('/');
+      const found = e.request?.method === 'GET' ? collections()[type]?.find(x => x.id === id) : null;
+      return found
+        ? { resource: found, response: { status: '200 OK' } }
+        : { resource: outcome('not-found', `${e.request?.url} is not known`), response: { status: '404 Not Found' } };
+    });
+    return reply(200, { resourceType: 'Bundle', type: 'batch-response', entry });
+  }
+
+  function search(type, params) {
+    let matches;
+    if (type === 'Encounter') {
+      matches = options.encounters.filter(e =>
+        dateMatches(params.getAll('date'), e.period?.start)
+        && dateMatches(params.getAll('_lastUpdated'), e.meta?.lastUpdated)
+        && refMatches(params.get('patient') || params.get('subject'), e.subject, 'Patient')
+        && listMatches(params.get('status'), e.status)
+        && listMatches(params.get('_id'), e.id));
+    } else if (type === 'Condition') {
+      matches = options.conditions.filter(c =>
+        codeMatches(params.get('code'), c.code)
+        && dateMatches(params.getAll('recorded-date'), c.recordedDate)
+        && dateMatches(params.getAll('onset-date'), c.onsetDateTime)
+        && dateMatches(params.getAll('_lastUpdated'), c.meta?.lastUpdated)
+        && refMatches(params.get('patient') || params.get('subject'), c.subject, 'Patient')
+        && refMatches(params.get('encounter'), c.encounter, 'Encounter'));
+    } else {
+      return reply(404, outcome('not-supported', `No search for ${type}`));
+    }
+
+    const count = Math.min(Number(params.get('_count')) || options.maxPageSize, options.maxPageSize);
+    const offset = Number(params.get('_offset')) || 0;
+    const page = matches.slice(offset, offset + count);
+    const entry = page.map(resource => ({ fullUrl: `${mock.fhirBase}/${type}/${resource.id}`, resource, search: { mode: 'match' } }));
+
+    if (type === 'Condition' && options.include) {
+      const included = new Map();
+      for (const inc of params.getAll('_include')) {
+        const field = { 'Condition:encounter': 'encounter', 'Condition:subject': 'subject' }[inc];
+        for (const c of field ? page : []) {
+          const [refType, id] = String(c[field]?.reference || '').split('/');
+          const found = collections()[refType]?.find(x => x.id === id);
+          if (found) included.set(`${refType}/${id}`, found);
+        }
+      }
+      included.forEach((resource, ref) => entry.push({ fullUrl: `${mock.fhirBase}/${ref}`, resource, search: { mode: 'include' } }));
+    }
+
+    const link = [];
+    if (offset + count < matches.length) {
+      const next = new URLSearchParams(params);
+      next.set('_count', String(count));
+      next.set('_offset', String(offset + count));
+      link.push({ relation: 'next', url: options.relativeLinks ? `${type}?${next}` : `${mock.fhirBase}/${type}?${next}` });
+    }
+    return reply(200, { resourceType: 'Bundle', type: 'searchset', total: matches.length, link, entry });
+  }
+
+  // ---------- Bulk Data ----------
+  function exportKickOff(req, r) {
+    if (req.headers.prefer !== 'respond-async') return reply(400, outcome('invalid', '$export needs Prefer: respond-async'));
+    const since = r.query.get('_since');
+    if (since && !/T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(since)) {
+      return reply(400, outcome('invalid', `_since must be a FHIR instant, got ${since}`));
+    }
+    const types = (r.query.get('_type') || 'Encounter,Condition,Patient').split(',');
+    const id = randomUUID();
+    exportJobs.set(id, { since, types, pending: options.exportPolls, request: `${mock.url}${r.path}?${r.query}` });
+    mock.exports.push({ path: r.path, since, types });
+    return reply(202, undefined, { 'Content-Location': `${mock.fhirBase}/_export/${id}` });
+  }
+
+  function exportJob(r, id, file) {
+    const job = exportJobs.get(id);
+    if (!job) return reply(404, outcome('not-found', `No $export job ${id}`));
+    if (r.method === 'DELETE' && !file) {
+      exportJobs.delete(id);
+      return reply(202);
+    }
+    if (r.method !== 'GET') return reply(404, outcome('not-supported', `${r.method} ${r.path}`));
+
+    if (file) {
+      const since = job.since ? Date.parse(job.since) : -Infinity;
+      const type = file.replace(/\.ndjson$/, '');
+      const lines = (job.types.includes(type) ? collections()[type] || [] : [])
+        .filter(x => Date.parse(x.meta?.lastUpdated) >= since)
+        .map(x => `${JSON.stringify(x)}\n`);
+      return { ...reply(200), type: 'application/fhir+ndjson', text: lines.join('') };
+    }
+    if (job.pending > 0) {
+      job.pending--;
+      // HTTP-date form, about two seconds out (the date only has whole seconds).
+      return reply(202, undefined, { 'Retry-After': new Date(Date.now() + 2000).toUTCString(), 'X-Progress': 'in progress' });
+    }
+    const output = job.types
+      .filter(type => collections()[type])
+      .map(type => ({ type, url: `${mock.fhirBase}/_export/${id}/${type}.ndjson` }));
+    return reply(200, { transactionTime: new Date().toISOString(), request: job.request, requiresAccessToken: true, output, error: [] }, {}, 'application/json');
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${server.address().port}`;
+      mock.fhirBase = `${mock.url}/fhir`;
+      mock.tokenUrl = `${mock.url}/auth/token`;
+      mock.ecrBase = mock.url;
+      mock.ecrTokenUrl = `${mock.url}/ecr/token`;
+      mock.close = () => new Promise(done => {
+        server.close(() => done());
+        server.closeAllConnections?.();
+      });
+      resolve(mock);
+    });
+  });
+}
+
+// ---------- search parameter matching ----------
+function reply(status, body, headers = {}, type) {
+  return { status, body, headers, type };
+}
+
+function outcome(code, diagnostics) {
+  return { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code, diagnostics }] };
+}
+
+function bearer(req) {
+  const h = req.headers.authorization || '';
+  return h.startsWith('Bearer ') ? h.slice(7) : null;
+}
+
+// "ge2025-01-01" / "le2025-01-31" …; a date-only upper bound covers that whole day.
+function dateMatches(bounds, value) {
+  if (!bounds.length) return true;
+  if (!value) return false;
+  const t = Date.parse(value);
+  return bounds.every(b => {
+    const m = /^(eq|ne|gt|lt|ge|le)?(.+)$/.exec(b);
+    const prefix = m[1] || 'eq';
+    const start = Date.parse(m[2]);
+    const end = m[2].length === 10 ? start + 24 * 60 * 60 * 1000 - 1 : start;
+    return {
+      eq: t >= start && t <= end,
+      ne: t < start || t > end,
+      gt: t > end,
+      lt: t < start,
+      ge: t >= start,
+      le: t <= end
+    }[prefix];
+  });
+}
+
+function listMatches(csv, value) {
+  return !csv || csv.split(',').includes(value);
+}
+
+function refMatches(param, ref, type) {
+  if (!param) return true;
+  const want = param.includes('/') ? param : `${type}/${param}`;
+  return ref?.reference === want;
+}
+
+// code=system|code,code (OR); a bare code matches any system.
+function codeMatches(param, concept) {
+  if (!param) return true;
+  return param.split(',').some(token => {
+    const [system, code] = token.includes('|') ? token.split('|') : [null, token];
+    return (concept?.coding || []).some(c => c.code === code && (!system || c.system === system));
+  });
+}
+
+/**
+ * A small data set: `count` patients, each with one finished ambulatory Encounter on
+ * consecutive days from `start`, and a Condition (SNOMED `code`) recorded in it.
+ */
+export function sampleData({ count = 5, start = '2025-01-01', code = '840539006' } = {}) {
+  const patients = [];
+  const encounters = [];
+  const conditions = [];
+  for (let i = 1; i <= count; i++) {
+    const day = new Date(Date.parse(start) + (i - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    patients.push({ resourceType: 'Patient', id: `p${i}`, name: [{ family: `Test${i}` }] });
+    encounters.push({
+      resourceType: 'Encounter',
+      id: `e${i}`,
+      status: 'finished',
+      class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB' },
+      subject: { reference: `Patient/p${i}` },
+      period: { start: `${day}T09:00:00Z`, end: `${day}T10:00:00Z` },
+      meta: { lastUpdated: `${day}T10:05:00Z` }
+    });
+    conditions.push({
+      resourceType: 'Condition',
+      id: `c${i}`,
+      code: { coding: [{ system: 'http://snomed.info/sct', code }] },
+      subject: { reference: `Patient/p${i}` },
+      encounter: { reference: `Encounter/e${i}` },
+      recordedDate: `${day}T09:30:00Z`,
+      meta: { lastUpdated: `${day}T10:05:00Z` }
+    });
+  }
+  return { patients, encounters, conditions };
+}
+
+// ---------- standalone: npm run mock (PORT, default 8085; KEYS_DIR, default ./keys) ----------
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const mock = await startMockServer({
+    port: Number(process.env.PORT || 8085),
+    keysDir: process.env.KEYS_DIR || './keys',
+    clientSecret: process.env.CLIENT_SECRET,
+    maxPageSize: 2,
+    ...sampleData({ count: 5 })
+  });
+  console.log(`Mock FHIR server:  FHIR_BASE=${mock.fhirBase} TOKEN_URL=${mock.tokenUrl}`);
+  console.log(`Mock eCRNow:       ECRNOW_API_BASE=${mock.ecrBase} ECRNOW_TOKEN_URL=${mock.ecrTokenUrl}`);
+  console.log('Data: patients p1..p5, encounters e1..e5 (2025-01-01..05), conditions c1..c5 (SNOMED 840539006). Ctrl+C to stop.');
+}
@@ -0,0 +1,61 @@
+// test/notificationValidation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sampleData } from './mockServer.js';
+import { buildNotificationBundle } from '../utils/submitEncounter.js';
+import { validateNotificationBundle, validateEncounter, formatIssues } from '../utils/notificationValidation.js';
+
+const [encounter] = sampleData({ count: 1 }).encounters;
+const FHIR_BASE = 'https://ehr.example.org/fhir';
+const errorsOf = bundle => validateNotificationBundle(bundle).filter(i => i.severity === 'error');
+
+test('a Bundle built with absolute fullUrls and a unique id is valid', () => {
+  const bundle = buildNotificationBundle(encounter, { fhirBase: FHIR_BASE, uniqueId: true });
+  assert.deepEqual(validateNotificationBundle(bundle), []);
+  assert.equal(bundle.entry[1].fullUrl, `${FHIR_BASE}/Encounter/e1`);
+  assert.notEqual(bundle.id, buildNotificationBundle(encounter, { uniqueId: true }).id);
+});
+
+test('a relative Encounter fullUrl is reported', () => {
+  const errors = errorsOf(buildNotificationBundle(encounter));
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, 'Bundle.entry[1].fullUrl');
+  assert.match(errors[0].message, /must be absolute/);
+});
+
+test('missing parameters, bad codes and cardinalities are reported by path', () => {
+  const bundle = buildNotificationBundle(encounter, { fhirBase: FHIR_BASE });
+  const params = bundle.entry[0].resource.parameter;
+  bundle.entry[0].resource.parameter = [
+    ...params.filter(p => p.name !== 'subscription'),
+    { name: 'status', valueCode: 'active' },
+    { name: 'colour', valueString: 'blue' }
+  ];
+  params.find(p => p.name === 'type').valueCode = 'notification';
+
+  assert.equal(formatIssues(errorsOf(bundle)), [
+    'Bundle.entry[0].resource.parameter[subscription]: required',
+    'Bundle.entry[0].resource.parameter[status]: at most 1 allowed, found 2',
+    'Bundle.entry[0].resource.parameter[type]: "notification" is not one of handshake, heartbeat, event-notification, query-status, query-event',
+    'Bundle.entry[0].resource.parameter[colour]: unknown parameter'
+  ].join('; '));
+});
+
+test('fullUrls must be unique, match the resource id and resolve from the event focus', () => {
+  const bundle = buildNotificationBundle(encounter, { fhirBase: FHIR_BASE });
+  bundle.entry[1].fullUrl = `${FHIR_BASE}/Encounter/other`;
+  const messages = errorsOf(bundle).map(i => `${i.path}: ${i.message}`);
+  assert.ok(messages.some(m => m.includes('does not end with Encounter/e1')));
+  assert.ok(messages.some(m => m.includes('focus') && m.includes('does not resolve')));
+
+  bundle.entry.push({ ...bundle.entry[1] });
+  assert.ok(errorsOf(bundle).some(i => i.message.includes('is also used by entry[1]')));
+});
+
+test('Encounter checks', () => {
+  assert.deepEqual(validateEncounter(encounter), []);
+  const broken = { ...encounter, id: 'has spaces', status: undefined, class: undefined, subject: { reference: 'Group/1' }, period: { start: '2025-01-02', end: '2025-01-01' } };
+  assert.deepEqual(validateEncounter(broken).map(i => i.path), [
+    'Encounter.id', 'Encounter.status', 'Encounter.class', 'Encounter.subject', 'Encounter.period'
+  ]);
+});
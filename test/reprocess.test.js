@@ -0,0 +1,90 @@
+// test/reprocess.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { sampleData } from './mockServer.js';
+import { startMockWithKeys, tempDir, mockEnv, runCli } from './helpers.js';
+import { readTargetsFile } from '../utils/targets.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+
+// Targeted reprocessing: explicit Encounter / Patient ids or a CSV, with per-row overrides.
+
+let mock;
+
+before(async t => {
+  mock = await startMockWithKeys(t, { clientId: 'test-client', ...sampleData({ count: 4 }) });
+});
+
+beforeEach(() => mock.reset());
+
+function setup(t, csv, extra) {
+  const dir = tempDir(t);
+  if (csv) fs.writeFileSync(path.join(dir, 'targets.csv'), csv);
+  return { dir, env: mockEnv(mock, path.join(dir, 'output'), { KEYS_DIR: mock.options.keysDir, FLOW_MODE: 'launch', ...extra }) };
+}
+
+test('targets CSV: header aliases, quoting, comments and Type/ prefixes', t => {
+  const { dir } = setup(t, [
+    'Encounter_ID,patient,validation_mode,"throttleContext"',
+    '# public health request 2025-117',
+    'Encounter/e1,,true,',
+    ',Patient/p2,,"5"',
+    '"e3","p3","false","a,b"',
+    ''
+  ].join('\n'));
+  assert.deepEqual(readTargetsFile(path.join(dir, 'targets.csv')), [
+    { encounterId: 'e1', patientId: undefined, validationMode: 'true', throttleContext: undefined, tenant: undefined },
+    { encounterId: undefined, patientId: 'p2', validationMode: undefined, throttleContext: '5', tenant: undefined },
+    { encounterId: 'e3', patientId: 'p3', validationMode: 'false', throttleContext: 'a,b', tenant: undefined }
+  ]);
+
+  fs.writeFileSync(path.join(dir, 'bad.csv'), 'id,mode\ne1,true\n');
+  assert.throws(() => readTargetsFile(path.join(dir, 'bad.csv')), /needs an encounterId and\/or a patientId column/);
+  fs.writeFileSync(path.join(dir, 'empty-row.csv'), 'encounterId,validationMode\n,true\n');
+  assert.throws(() => readTargetsFile(path.join(dir, 'empty-row.csv')), /empty-row\.csv:2: needs an encounterId or a patientId/);
+});
+
+test('reprocess resends exactly the targets, with per-row overrides', async t => {
+  const { dir, env } = setup(t, 'encounterId,patientId,validationMode,throttleContext\ne2,,true,\n,p3,,5\ne99,,,\ne4,p1,,\n');
+  const first = await runCli(['launch', '--encounter', 'e1'], { env, cwd: dir });
+  assert.equal(first.code, EXIT_CODES.OK, first.stderr);
+  mock.reset();
+
+  const res = await runCli(['reprocess', '--encounter', 'e1', '--file', 'targets.csv', '--throttle-context', '2'], { env, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.PARTIAL, res.stderr);
+  const sent = Object.fromEntries(mock.launches.map(b => [b.encounterId, [b.patientId, b.validationMode, b.throttleContext]]));
+  assert.deepEqual(sent, {
+    e1: ['p1', 'false', '2'], // already in the ledger: resent anyway
+    e2: ['p2', 'true', '2'],
+    e3: ['p3', 'false', '5']
+  });
+  // No date search: Encounters are read by id, patients searched without a window.
+  assert.ok(!mock.requests.some(r => r.path === '/fhir/Condition'));
+
+  const [summaryFile] = fs.readdirSync(path.join(dir, 'output', 'runs')).sort().slice(-1);
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'output', 'runs', summaryFile), 'utf8'));
+  assert.deepEqual(summary.failures.map(f => [f.encounterId, f.reason]), [
+    ['e99', 'target not found'],
+    ['e4', 'target belongs to Patient/p4']
+  ]);
+});
+
+test('--skip-sent, a window for patient targets and SEARCH_STATUS', async t => {
+  const { dir, env } = setup(t);
+  await runCli(['launch', '--encounter', 'e1'], { env, cwd: dir });
+  mock.reset();
+
+  const res = await runCli(['reprocess', '--encounter', 'e1', '--patient', 'p2,p3', '--start', '2025-01-03', '--end', '2025-01-31', '--skip-sent'], { env, cwd: dir });
+  assert.equal(res.code, EXIT_CODES.PARTIAL, res.stderr); // p2's only Encounter is before the window
+  assert.deepEqual(mock.launches.map(b => b.encounterId), ['e3']);
+
+  mock.reset();
+  const finishedOnly = await runCli(['reprocess', '--patient', 'p3'], { env: { ...env, SEARCH_STATUS: 'in-progress' }, cwd: dir });
+  assert.equal(finishedOnly.code, EXIT_CODES.PARTIAL);
+  assert.equal(mock.launches.length, 0);
+
+  const usage = await runCli(['reprocess'], { env, cwd: dir });
+  assert.equal(usage.code, EXIT_CODES.USAGE);
+  assert.match(usage.stderr, /needs --encounter, --patient or --file/);
+});
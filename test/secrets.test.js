@@ -0,0 +1,104 @@
+// test/secrets.test.js
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createLocalJWKSet, jwtVerify } from 'jose';
+import { startMockServer, sampleData } from './mockServer.js';
+import { tempDir, mockEnv, runCli } from './helpers.js';
+import { addKeyToStore, encryptKeyStore, resolveSigningKey, readJwks } from '../utils/keys.js';
+import { signClientAssertion } from '../utils/clientAssertion.js';
+import { loadConfig } from '../utils/config.js';
+import { CONFIG_SCHEMA } from '../utils/configSchema.js';
+import { EXIT_CODES } from '../utils/exitCodes.js';
+
+// Secrets from files, encrypted PKCS#8 keys and key stores, and secrets kept out of error output.
+
+const PASSPHRASE = 'correct horse battery staple';
+const SECRET = 'sup3r-s3cret-value';
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ clientSecret: SECRET, ...sampleData({ count: 2 }) });
+});
+
+after(() => mock.close());
+
+beforeEach(() => mock.reset());
+
+test('<KEY>_FILE reads secrets from files; the key itself wins', t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'client-secret'), `${SECRET}\n`);
+  fs.writeFileSync(path.join(dir, 'north-secret'), 'north-only');
+  const env = { CLIENT_SECRET_FILE: path.join(dir, 'client-secret') };
+
+  assert.equal(loadConfig({ schema: CONFIG_SCHEMA, env }).config.CLIENT_SECRET, SECRET);
+  const loaded = loadConfig({ schema: CONFIG_SCHEMA, env: { ...env, CLIENT_SECRET: 'from-env' } });
+  assert.equal(loaded.config.CLIENT_SECRET, 'from-env');
+
+  // Tenants may point at their own secret file.
+  fs.writeFileSync(path.join(dir, 'ecrnow.config.json'), JSON.stringify({
+    tenants: [{ name: 'north', CLIENT_SECRET_FILE: path.join(dir, 'north-secret') }, { name: 'south' }]
+  }));
+  const tenants = loadConfig({ schema: CONFIG_SCHEMA, env, file: path.join(dir, 'ecrnow.config.json') }).tenants;
+  assert.deepEqual(tenants.map(x => [x.name, x.config.CLIENT_SECRET]), [['north', 'north-only'], ['south', SECRET]]);
+
+  fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ tenants: [{ name: 'a', ECRNOW_CLIENT_SECRET_FILE: '/x' }] }));
+  assert.throws(() => loadConfig({ schema: CONFIG_SCHEMA, env: {}, file: path.join(dir, 'bad.json') }),
+    /ECRNOW_CLIENT_SECRET_FILE cannot be set per tenant/);
+  assert.throws(() => loadConfig({ schema: CONFIG_SCHEMA, env: { LISTENER_SECRET_FILE: path.join(dir, 'missing') } }),
+    /LISTENER_SECRET_FILE=.*missing \(env\): cannot read the file \(ENOENT\)/);
+});
+
+test('encrypted PKCS#8 keys and key stores', async t => {
+  const keysDir = tempDir(t);
+  const added = await addKeyToStore({ keysDir, alg: 'ES384', kid: 'enc', passphrase: PASSPHRASE });
+  assert.ok(added.encrypted);
+  assert.match(fs.readFileSync(added.privateKeyPath, 'utf8'), /BEGIN ENCRYPTED PRIVATE KEY/);
+
+  assert.throws(() => resolveSigningKey({ keysDir, kid: 'enc' }), /enc\.pem is encrypted; set KEY_PASSPHRASE/);
+  assert.throws(() => resolveSigningKey({ keysDir, kid: 'enc', passphrase: 'hunter2' }), e => {
+    assert.match(e.message, /Cannot decrypt .*enc\.pem: wrong KEY_PASSPHRASE/);
+    assert.ok(!e.message.includes('hunter2'));
+    return true;
+  });
+
+  const assertion = await signClientAssertion({ clientId: 'c', aud: 'https://ehr.example/token', kid: 'enc', keysDir, passphrase: PASSPHRASE });
+  const { protectedHeader } = await jwtVerify(assertion, createLocalJWKSet(readJwks(keysDir)));
+  assert.deepEqual([protectedHeader.kid, protectedHeader.alg], ['enc', 'ES384']);
+
+  // A plain store is encrypted in place; keys that already are stay as they are.
+  const plain = await addKeyToStore({ keysDir, alg: 'RS384', kid: 'plain' });
+  assert.match(fs.readFileSync(plain.privateKeyPath, 'utf8'), /BEGIN PRIVATE KEY/);
+  assert.deepEqual(encryptKeyStore({ keysDir, passphrase: PASSPHRASE }), ['plain']);
+  assert.equal(resolveSigningKey({ keysDir, kid: 'plain', passphrase: PASSPHRASE }).alg, 'RS384');
+});
+
+test('the flow signs with an encrypted store; secrets stay out of errors', async t => {
+  const dir = tempDir(t);
+  const keysDir = path.join(dir, 'keys');
+  fs.writeFileSync(path.join(dir, 'passphrase'), `${PASSPHRASE}\n`);
+  const env = mockEnv(mock, path.join(dir, 'output'), { KEYS_DIR: keysDir, FLOW_MODE: 'launch', KEY_PASSPHRASE_FILE: path.join(dir, 'passphrase') });
+
+  const keygen = await runCli(['keygen', '--alg', 'ES384', '--kid', 'k1'], { env, cwd: dir });
+  assert.equal(keygen.code, EXIT_CODES.OK, keygen.stderr);
+  assert.match(keygen.stderr, /\(encrypted\)/);
+  mock.options.keysDir = keysDir;
+
+  const run = await runCli(['launch', '--encounter', 'e1'], { env, cwd: dir });
+  assert.equal(run.code, EXIT_CODES.OK, run.stderr);
+  assert.deepEqual(mock.launches.map(b => b.encounterId), ['e1']);
+
+  const noPassphrase = await runCli(['launch', '--encounter', 'e1'], { env: { ...env, KEY_PASSPHRASE_FILE: '' }, cwd: dir });
+  assert.equal(noPassphrase.code, EXIT_CODES.USAGE);
+  assert.match(noPassphrase.stderr, /k1\.pem is encrypted; set KEY_PASSPHRASE/);
+
+  // A token endpoint that echoes the client secret back.
+  const secretEnv = { ...env, AUTH_MODE: 'CLIENT_SECRET_POST', CLIENT_SECRET: SECRET, LOG_LEVEL: 'info' };
+  mock.fail({ path: '/auth/token', status: 200, body: { error: 'odd', echo: `client_secret=${SECRET}` } });
+  const echoed = await runCli(['launch', '--encounter', 'e1'], { env: secretEnv, cwd: dir });
+  assert.notEqual(echoed.code, EXIT_CODES.OK);
+  assert.match(echoed.stderr, /did not return access_token \(error odd; fields: echo\)/);
+  assert.ok(!`${echoed.stdout}${echoed.stderr}`.includes(SECRET), 'the secret is never printed');
+});
@@ -0,0 +1,70 @@
+// test/submitEncounter.test.js
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, sampleData } from './mockServer.js';
+import { quietHttp } from './helpers.js';
+import { http } from '../utils/httpClient.js';
+import { createTokenManager } from '../utils/tokenManager.js';
+import { submitEncounter, buildNotificationBundle } from '../utils/submitEncounter.js';
+
+let mock;
+let ecrTokens;
+let url;
+const [encounter] = sampleData({ count: 1 }).encounters;
+
+before(async () => {
+  quietHttp();
+  mock = await startMockServer();
+  url = `${mock.ecrBase}/api/receive-notification`;
+  ecrTokens = createTokenManager({
+    name: 'eCRNow',
+    fetchToken: () => http
+      .post(mock.ecrTokenUrl, new URLSearchParams({ grant_type: 'client_credentials', client_id: 'ecr' }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      })
+      .then(r => r.data)
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(() => mock.reset());
+
+test('notification bundle carries the Encounter', () => {
+  const bundle = buildNotificationBundle(encounter, { subscriptionUrl: 'http://example.org/Subscription/1' });
+  assert.equal(bundle.type, 'history');
+  assert.equal(bundle.entry[0].resource.resourceType, 'Parameters');
+  assert.deepEqual(bundle.entry[0].resource.parameter[0], { name: 'subscription', valueReference: { reference: 'http://example.org/Subscription/1' } });
+  assert.equal(bundle.entry[1].resource, encounter);
+});
+
+test('posts the notification with the eCRNow bearer token', async () => {
+  const res = await submitEncounter({ url, encounter, auth: { type: 'bearer', token: ecrTokens } });
+  assert.equal(res.status, 200);
+  assert.equal(mock.notifications.length, 1);
+  assert.equal(mock.notifications[0].entry[1].resource.id, 'e1');
+});
+
+test('a 401 gets a fresh token and the POST is sent again', async () => {
+  await ecrTokens.getToken();
+  mock.revokeTokens();
+  const res = await submitEncounter({ url, encounter, auth: { type: 'bearer', token: ecrTokens } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(mock.requests.map(r => [r.path, r.status]), [
+    ['/api/receive-notification', 401],
+    ['/ecr/token', 200],
+    ['/api/receive-notification', 200]
+  ]);
+});
+
+test('429 is retried, 500 is not (the POST may have been processed)', async () => {
+  mock.fail({ path: '/api/receive-notification', status: 429, headers: { 'Retry-After': '0' } });
+  const res = await submitEncounter({ url, encounter, auth: { type: 'bearer', token: ecrTokens } });
+  assert.equal(res.status, 200);
+
+  mock.reset();
+  mock.fail({ path: '/api/receive-notification', status: 500 });
+  await assert.rejects(submitEncounter({ url, encounter, auth: { type: 'bearer', token: ecrTokens } }), e => e.response?.status === 500);
+  assert.equal(mock.requests.length, 1);
+  assert.equal(mock.notifications.length, 0);
+});
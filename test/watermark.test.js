@@ -0,0 +1,37 @@
+// test/watermark.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextWatermark, searchWindow } from '../utils/watermark.js';
+import { openLedger } from '../utils/ledger.js';
+import { tempDir } from './helpers.js';
+
+const enc = (id, end) => ({ id, period: { start: end, end } });
+const encounters = [enc('e1', '2025-01-02T00:00:00.000Z'), enc('e2', '2025-01-05T00:00:00.000Z'), enc('e3', '2025-01-09T00:00:00.000Z')];
+
+test('the watermark stops at the earliest failure but never goes back', () => {
+  assert.equal(nextWatermark({ previous: null, encounters, mode: 'date' }), '2025-01-09T00:00:00.000Z');
+  assert.equal(nextWatermark({ previous: null, encounters, failedIds: new Set(['e2']), mode: 'date' }), '2025-01-05T00:00:00.000Z');
+  // A failure from before the previous watermark (re-read in the overlap) holds it there, no further back.
+  assert.equal(nextWatermark({ previous: '2025-01-03T00:00:00.000Z', encounters, failedIds: new Set(['e1']), mode: 'date' }),
+    '2025-01-03T00:00:00.000Z');
+  assert.equal(nextWatermark({ previous: '2025-01-03T00:00:00.000Z', encounters, mode: 'date' }), '2025-01-09T00:00:00.000Z');
+});
+
+test('the search window from a watermark ends now', () => {
+  const now = new Date('2025-02-01T12:00:00.000Z');
+  assert.deepEqual(searchWindow({ watermark: '2025-02-01T10:00:00.000Z', overlapMinutes: 60, start: '2025-01-01', end: '2025-01-31', now }),
+    { start: '2025-02-01T09:00:00.000Z', end: '2025-02-01T12:00:00.000Z' });
+  assert.deepEqual(searchWindow({ watermark: null, start: '2025-01-01', end: '2025-01-31', now }), { start: '2025-01-01', end: '2025-01-31' });
+});
+
+test('the ledger counts failed attempts per encounter', t => {
+  const outputDir = tempDir(t);
+  const key = { fhirBase: 'https://ehr.example/fhir', flowMode: 'launch' };
+  const ledger = openLedger({ outputDir });
+  ledger.record({ ...key, encounterId: 'e1', status: 500 });
+  ledger.record({ ...key, encounterId: 'e1', status: null });
+  ledger.record({ ...key, encounterId: 'e2', status: 200 });
+  assert.equal(ledger.failures({ ...key, encounterId: 'e1' }), 2);
+  assert.equal(openLedger({ outputDir }).failures({ ...key, encounterId: 'e1' }), 2, 'counted again from the file');
+  assert.equal(ledger.failures({ ...key, encounterId: 'e2' }), 0);
+});
@@ -0,0 +1,177 @@
+// utils/bulkExport.js
+import readline from 'readline';
+import { http, timeouts, retryAfterMs } from './httpClient.js';
+import { logger } from './logger.js';
+
+/**
+ * FHIR Bulk Data ($export) encounter source for large backfills.
+ *
+ * Kicks off a Group-level (`groupId` set) or system-level $export with
+ * `_type=Encounter,Condition` and `_since`, polls the status URL until the manifest is
+ * ready, then streams the NDJSON output. Uses the same SMART Backend Services token as
+ * the search fetchers.
+ *
+ * `_since` selects resources by when the server last updated them (meta.lastUpdated), not
+ * by Encounter.period like the search sources. The window end is applied to the exported
+ * Encounters instead: those whose period starts after `end` are dropped.
+ *
+ * If `codesCsv` is given, only Encounters referenced by an exported Condition with one of
+ * those codes are returned (the Bulk equivalent of the Condition-code searches); otherwise
+ * every exported Encounter is returned.
+ *
+ * @param {object} opts
+ * @param {string} opts.fhirBase             - FHIR base URL (no trailing slash)
+ * @param {string|object} opts.token         - Bearer token or token manager
+ * @param {string} [opts.groupId]            - Group id for Group/{id}/$export; omit for system-level
+ * @param {string} [opts.since]              - Date or instant; sent as the FHIR instant `_since`
+ * @param {string} [opts.end]                - Keep Encounters whose period starts by then (a date covers the whole day)
+ * @param {string} [opts.codesCsv]           - CSV of "system|code" (or bare codes) to match Conditions
+ * @param {number} [opts.pollIntervalMs]     - Poll interval when the server sends no Retry-After (default 10000)
+ * @param {number} [opts.maxWaitMs]          - Give up after this long (default 1 hour)
+ * @returns {Promise<Array>}                 - Array of Encounter resources
+ */
+export async function fetchEncountersByBulkExport({
+  fhirBase,
+  token,
+  groupId,
+  since,
+  end,
+  codesCsv = '',
+  pollIntervalMs = 10000,
+  maxWaitMs = 60 * 60 * 1000
+}) {
+  const endMs = end ? windowEndMs(end) : null;
+  const statusUrl = await kickOff({ fhirBase, token, groupId, since: since ? toInstant(since) : null });
+  logger.info('$export accepted; polling status', { statusUrl });
+
+  const manifest = await pollStatus({ statusUrl, token, pollIntervalMs, maxWaitMs });
+  for (const err of manifest.error || []) {
+    logger.warn('$export reported an error file', { url: err.url });
+  }
+
+  const fileToken = manifest.requiresAccessToken ? token : undefined;
+  const encounters = new Map();
+  const conditionEncounterIds = new Set();
+  const codes = parseCodes(codesCsv);
+
+  for (const out of manifest.output || []) {
+    if (out.type === 'Encounter') {
+      await streamNdjson(out.url, fileToken, res => {
+        if (res?.resourceType === 'Encounter' && res.id) encounters.set(res.id, res);
+      });
+    } else if (out.type === 'Condition' && codes.length) {
+      await streamNdjson(out.url, fileToken, res => {
+        const ref = res?.encounter?.reference;
+        if (ref?.startsWith('Encounter/') && conditionMatches(res, codes)) {
+          conditionEncounterIds.add(ref.split('/')[1]);
+        }
+      });
+    }
+  }
+
+  // Tell the server it can discard the files (best effort; not all servers support it).
+  await http.delete(statusUrl, { token, timeout: timeouts.read }).catch(() => {});
+
+  let all = Array.from(encounters.values());
+  if (endMs != null) {
+    all = all.filter(enc => startsBy(enc, endMs));
+    logger.info('Exported Encounters in the window', { kept: all.length, exported: encounters.size, end });
+  }
+  if (!codes.length) return all;
+  logger.info('Encounters referenced by matching Conditions', { count: conditionEncounterIds.size });
+  return all.filter(enc => conditionEncounterIds.has(enc.id));
+}
+
+async function kickOff({ fhirBase, token, groupId, since }) {
+  const params = new URLSearchParams({ _type: 'Encounter,Condition' });
+  if (since) params.append('_since', since);
+  const path = groupId ? `Group/${encodeURIComponent(groupId)}/$export` : '$export';
+  const url = `${fhirBase}/${path}?${params.toString()}`;
+  logger.debug('$export kick-off', { url });
+
+  const r = await http.get(url, {
+    headers: { Accept: 'application/fhir+json', Prefer: 'respond-async' },
+    token,
+    timeout: timeouts.search
+  });
+  const location = r.headers['content-location'];
+  if (r.status !== 202 || !location) {
+    throw new Error(`$export kick-off expected 202 with Content-Location, got ${r.status}`);
+  }
+  return new URL(location, `${fhirBase}/`).toString();
+}
+
+async function pollStatus({ statusUrl, token, pollIntervalMs, maxWaitMs }) {
+  const deadline = Date.now() + maxWaitMs;
+  for (;;) {
+    const r = await http.get(statusUrl, {
+      headers: { Accept: 'application/json' },
+      token,
+      timeout: timeouts.read
+    });
+    if (r.status === 200) return r.data;
+
+    if (Date.now() > deadline) {
+      throw new Error(`$export did not complete within ${Math.round(maxWaitMs / 60000)} min (${statusUrl})`);
+    }
+    const hinted = retryAfterMs(r.headers);
+    const wait = hinted > 0 ? hinted : pollIntervalMs;
+    logger.info('$export in progress', { progress: r.headers['x-progress'], nextPollSeconds: Math.round(wait / 1000) });
+    await new Promise(res => setTimeout(res, wait));
+  }
+}
+
+async function streamNdjson(url, token, onResource) {
+  const r = await http.get(url, {
+    headers: { Accept: 'application/fhir+ndjson' },
+    token,
+    responseType: 'stream',
+    timeout: timeouts.search
+  });
+  const lines = readline.createInterface({ input: r.data, crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      onResource(JSON.parse(line));
+      n++;
+    } catch {
+      logger.warn('Skipping unparsable NDJSON line', { url });
+    }
+  }
+  logger.info('Read NDJSON file', { url, resources: n });
+}
+
+// `_since` must be a FHIR instant (with a time zone); a bare date becomes midnight UTC.
+function toInstant(value) {
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) throw new Error(`$export _since: not a date or instant: ${value}`);
+  return new Date(t).toISOString();
+}
+
+// The last millisecond the window covers: a bare date (as END_DATE usually is) means that whole day.
+function windowEndMs(end) {
+  const t = Date.parse(end);
+  if (Number.isNaN(t)) throw new Error(`$export window end: not a date or instant: ${end}`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(end) ? t + 24 * 60 * 60 * 1000 - 1 : t;
+}
+
+// Like a `date=le<end>` search: an Encounter without a period date does not match.
+function startsBy(enc, endMs) {
+  const t = Date.parse(enc.period?.start || enc.period?.end);
+  return !Number.isNaN(t) && t <= endMs;
+}
+
+function parseCodes(codesCsv) {
+  return (codesCsv || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(s => (s.includes('|') ? { system: s.split('|')[0], code: s.split('|')[1] } : { system: null, code: s }));
+}
+
+function conditionMatches(condition, codes) {
+  return (condition.code?.coding || []).some(c =>
+    codes.some(want => want.code === c.code && (!want.system || want.system === c.system))
+  );
+}
@@ -1,10 +1,15 @@
-import fs from 'fs';
-import { SignJWT, importPKCS8 } from 'jose';
+import { SignJWT } from 'jose';
 import { v4 as uuidv4 } from 'uuid';
+import { resolveSigningKey } from './keys.js';
 
-export async function signClientAssertion({ clientId, aud, kid, privateKeyPath }) {
-  const pkcs8 = fs.readFileSync(privateKeyPath, 'utf8');
-  const key = await importPKCS8(pkcs8, 'RS256');
+/**
+ * Signed client assertion (private_key_jwt / SMART Backend Services).
+ * The key is picked by kid (see resolveSigningKey); RS384, ES384 and RS256 are supported.
+ * `jku` adds the URL of our published JWKS, for EHRs that fetch keys from it. The parsed
+ * key is cached, so the PEM is only read (and decrypted) again after it changes.
+ */
+export async function signClientAssertion({ clientId, aud, kid, privateKeyPath, keysDir, alg, jku, passphrase }) {
+  const signing = resolveSigningKey({ kid, privateKeyPath, keysDir, alg, passphrase });
   const now = Math.floor(Date.now() / 1000);
   return await new SignJWT({
     iss: clientId,
@@ -14,6 +19,6 @@ export async function signClientAssertion({ clientId, aud, kid, privateKeyPath }
     iat: now,
     exp: now + 300
   })
-    .setProtectedHeader({ alg: 'RS256', kid })
-    .sign(key);
-}
\ No newline at end of file
+    .setProtectedHeader({ alg: signing.alg, kid: signing.kid, typ: 'JWT', ...(jku ? { jku } : {}) })
+    .sign(signing.key);
+}
@@ -0,0 +1,313 @@
+// utils/config.js
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Config loader: schema defaults < config file < profile < environment variables < command line.
+ *
+ * The file (JSON or YAML) uses the same keys as the env vars, either flat or as
+ *
+ *   defaults: { ECRNOW_API_BASE: http://localhost:8081 }
+ *   profiles:
+ *     sandbox: { FHIR_BASE: https://sandbox.example/fhir, ... }
+ *     prod:    { FHIR_BASE: https://ehr.example/fhir, ... }
+ *
+ * Everything is checked up front: unknown keys in the file (with a "did you mean"),
+ * types, allowed values, and keys required by the chosen modes. All problems are
+ * reported together in one Error. A `tenants` list (see loadConfig) runs the same flow
+ * against several FHIR servers or facilities.
+ *
+ * Schema entries: { key, type, default, doc, secret, values, aliases, allowEmpty, min, validate }
+ *   type: string | number | boolean | enum | list (CSV whose items must be in `values`)
+ *   secret: masked when printed; may also be given as <KEY>_FILE, a file holding the value
+ *           (Docker / Kubernetes secret mounts), wherever the key itself is accepted
+ * Rules: { when(cfg), keys, because, shared } for conditional requirements,
+ *        { check(cfg) -> string|null } for anything else that makes the config unusable, and
+ *        { warn(cfg) -> string|null } for suspicious-but-legal combinations.
+ */
+
+// Config problems carry code "ECONFIG" so callers can exit with the usage code instead of a crash.
+function configError(message) {
+  return Object.assign(new Error(message), { code: 'ECONFIG' });
+}
+
+export const DEFAULT_CONFIG_FILES = ['ecrnow.config.json', 'ecrnow.config.yaml', 'ecrnow.config.yml'];
+
+export function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  try {
+    const data = ext === '.json' ? JSON.parse(text) : YAML.parse(text);
+    if (data == null) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) throw new Error('top level must be a mapping');
+    return data;
+  } catch (e) {
+    throw configError(`Cannot parse config file ${file}: ${e.message}`);
+  }
+}
+
+/** The config file to use: the explicit one, else the first default file present in `cwd`. */
+export function findConfigFile(explicit, cwd = process.cwd()) {
+  if (explicit) {
+    if (!fs.existsSync(explicit)) throw configError(`Config file not found: ${explicit}`);
+    return explicit;
+  }
+  return DEFAULT_CONFIG_FILES.map(f => path.join(cwd, f)).find(f => fs.existsSync(f)) || null;
+}
+
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function suggest(key, known) {
+  const best = known
+    .map(k => [k, editDistance(key.toUpperCase(), k)])
+    .sort((x, y) => x[1] - y[1])[0];
+  return best && best[1] <= Math.max(2, Math.floor(key.length / 4)) ? ` (did you mean ${best[0]}?)` : '';
+}
+
+function coerce(entry, raw, where) {
+  if (raw === undefined || raw === null) return { value: undefined };
+  if (typeof raw === 'string' && raw.trim() === '' && !entry.allowEmpty) return { value: undefined };
+  const s = String(raw).trim();
+
+  switch (entry.type) {
+    case 'number': {
+      const n = Number(s);
+      if (Number.isNaN(n)) return { error: `${entry.key}=${JSON.stringify(raw)} (${where}) must be a number` };
+      if (entry.min !== undefined && n < entry.min) return { error: `${entry.key}=${n} (${where}) must be >= ${entry.min}` };
+      return { value: n };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const b = s.toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(b)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(b)) return { value: false };
+      return { error: `${entry.key}=${JSON.stringify(raw)} (${where}) must be true or false` };
+    }
+    case 'enum': {
+      const match = entry.values.find(v => v.toLowerCase() === s.toLowerCase());
+      if (!match) return { error: `${entry.key}=${JSON.stringify(raw)} (${where}) must be one of: ${entry.values.join(', ')}` };
+      return { value: match };
+    }
+    case 'list': {
+      const items = s.split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+      const bad = items.filter(x => !entry.values.includes(x));
+      if (bad.length) return { error: `${entry.key}: unknown value(s) ${bad.join(', ')} (${where}); expected any of: ${entry.values.join(', ')}` };
+      return { value: items.join(',') };
+    }
+    default:
+      return { value: entry.allowEmpty ? String(raw) : s };
+  }
+}
+
+// Names a key may be given under: the key, its aliases, and <name>_FILE for secrets.
+function keyNames(entry) {
+  const names = [entry.key, ...(entry.aliases || [])];
+  return entry.secret ? [...names, ...names.map(k => `${k}_FILE`)] : names;
+}
+
+// A secret's value from <KEY>_FILE in the same source; one trailing newline is dropped.
+function secretFromFile(names, values, where, errors) {
+  const name = names.map(k => `${k}_FILE`).find(k => values[k] !== undefined && values[k] !== '');
+  if (!name) return { where, raw: undefined };
+  try {
+    return { where: `${where}, ${name}`, raw: fs.readFileSync(String(values[name]), 'utf8').replace(/\r?\n$/, '') };
+  } catch (e) {
+    errors.push(`${name}=${values[name]} (${where}): cannot read the file (${e.code || e.message})`);
+    return { where, raw: undefined };
+  }
+}
+
+function resolve(schema, layers, env, overrides, errors) {
+  const config = {};
+  const origin = {};
+  for (const entry of schema) {
+    let value = entry.default;
+    origin[entry.key] = 'default';
+
+    const names = [entry.key, ...(entry.aliases || [])];
+    // The key itself wins over <KEY>_FILE from the same source.
+    const orFile = (c, values) => (c.raw !== undefined || !entry.secret ? c : secretFromFile(names, values, c.where, errors));
+    const candidates = [
+      ...layers.map(l => orFile({ where: l.where, raw: names.map(k => l.values[k]).find(v => v !== undefined) }, l.values)),
+      orFile({ where: 'env', raw: [...names].reverse().map(k => env[k]).find(v => v !== undefined && v !== '') }, env),
+      // tenant overrides win over env: they are what makes a tenant differ from the others
+      ...layers.filter(l => l.tenant).map(l => orFile({ where: l.where, raw: names.map(k => l.tenant[k]).find(v => v !== undefined) }, l.tenant)),
+      { where: 'command line', raw: overrides[entry.key] }
+    ];
+    for (const { where, raw } of candidates) {
+      if (raw === undefined) continue;
+      if (raw === null && where === 'command line') {
+        // an explicit "unset" from a flag, e.g. --once clearing DAEMON_INTERVAL
+        value = undefined;
+        origin[entry.key] = where;
+        continue;
+      }
+      const r = coerce(entry, raw, where);
+      if (r.error) {
+        errors.push(r.error);
+        continue;
+      }
+      if (r.value === undefined) continue;
+      value = r.value;
+      origin[entry.key] = where;
+    }
+
+    if (value !== undefined && entry.validate) {
+      const problem = entry.validate(value);
+      if (problem) errors.push(`${entry.key}=${JSON.stringify(value)} (${origin[entry.key]}): ${problem}`);
+    }
+    config[entry.key] = value;
+  }
+  return { config, origin };
+}
+
+function applyRules(rules, config, errors, warnings, prefix = '') {
+  for (const rule of rules) {
+    if (rule.keys && (!rule.when || rule.when(config))) {
+      const missing = rule.keys.filter(k => config[k] === undefined || String(config[k]).trim() === '');
+      if (missing.length) errors.push(`${prefix}Missing ${missing.join(', ')}${rule.because ? ` (required when ${rule.because})` : ''}`);
+    }
+    if (rule.check) {
+      const problem = rule.check(config);
+      if (problem) errors.push(`${prefix}${problem}`);
+    }
+    if (rule.warn) {
+      const w = rule.warn(config);
+      if (w) warnings.push(`${prefix}${w}`);
+    }
+  }
+}
+
+/**
+ * Resolve and validate the configuration.
+ *
+ * A file (or profile) may also list `tenants`: one entry per FHIR server / facility, each
+ * with a unique `name` plus overrides of the schema keys marked `tenant: true`. Each tenant
+ * is resolved as the shared config with its overrides on top (overrides beat env vars) and
+ * the rules are checked per tenant. Without a list there is a single tenant, "default".
+ *
+ * @param {object} opts
+ * @param {Array} opts.schema                - Schema entries (see above)
+ * @param {Array} [opts.rules]               - Requirement / warning rules
+ * @param {object} [opts.env]                - Environment (default process.env)
+ * @param {string|null} [opts.file]          - Config file path (JSON / YAML), or null for env only
+ * @param {string} [opts.profile]            - Profile name inside the file
+ * @param {string[]} [opts.only]             - Keep just these tenant names
+ * @param {object} [opts.overrides]          - Values that beat every other source (command-line flags); null unsets
+ * @returns {{ config: object, origin: object, tenants: Array<{name, config, origin, overrides}>, hasTenants: boolean, warnings: string[], file: string|null, profile: string|null }}
+ */
+export function loadConfig({ schema, rules = [], env = process.env, file = null, profile, only, overrides = {} }) {
+  const errors = [];
+  const known = schema.map(e => e.key);
+  const secretFiles = schema.filter(e => e.secret).map(e => `${e.key}_FILE`);
+  const layers = [];
+
+  if (file) {
+    const data = readConfigFile(file);
+    const hasSections = 'profiles' in data || 'defaults' in data;
+    const defaults = hasSections ? data.defaults || {} : data;
+    const profiles = hasSections ? data.profiles || {} : {};
+    if (hasSections) {
+      for (const k of Object.keys(data)) {
+        if (!['defaults', 'profiles'].includes(k)) errors.push(`${file}: unexpected top-level key "${k}" (expected defaults / profiles)`);
+      }
+    }
+    layers.push({ where: file, values: defaults });
+
+    if (profile) {
+      if (!profiles[profile]) {
+        const available = Object.keys(profiles);
+        throw configError(`Unknown profile "${profile}" in ${file}; available: ${available.length ? available.join(', ') : 'none'}`);
+      }
+      layers.push({ where: `${file} [${profile}]`, values: profiles[profile] });
+    }
+  } else if (profile) {
+    throw configError(`Profile "${profile}" requested but no config file was found`);
+  }
+
+  // The last layer that lists tenants wins; a profile can replace the default list.
+  let tenantList = null;
+  for (const layer of layers) {
+    const { tenants, ...values } = layer.values;
+    layer.values = values;
+    if (tenants === undefined) continue;
+    if (!Array.isArray(tenants)) {
+      errors.push(`${layer.where}: "tenants" must be a list`);
+      continue;
+    }
+    tenantList = { where: layer.where, tenants };
+  }
+
+  for (const { where, values } of layers) {
+    for (const k of Object.keys(values)) {
+      const isAlias = schema.some(e => keyNames(e).includes(k) && k !== e.key);
+      if (!known.includes(k) && !isAlias) errors.push(`${where}: unknown key "${k}"${suggest(k, known)}`);
+    }
+  }
+
+  const { config, origin } = resolve(schema, layers, env, overrides, errors);
+  const warnings = [];
+  const tenants = [];
+
+  if (!tenantList) {
+    if (only?.length) errors.push(`Tenant(s) ${only.join(', ')} requested but no tenants are defined`);
+    applyRules(rules, config, errors, warnings);
+    tenants.push({ name: 'default', config, origin, overrides: {} });
+  } else {
+    const tenantKeys = schema.filter(e => e.tenant).flatMap(keyNames);
+    const seen = new Set();
+    tenantList.tenants.forEach((t, i) => {
+      const where = `${tenantList.where} tenants[${i}]`;
+      if (!t || typeof t !== 'object' || !t.name) {
+        errors.push(`${where}: each tenant needs a "name"`);
+        return;
+      }
+      const { name, ...own } = t;
+      if (seen.has(name)) errors.push(`${where}: duplicate tenant name "${name}"`);
+      seen.add(name);
+      for (const k of Object.keys(own)) {
+        if (tenantKeys.includes(k)) continue;
+        errors.push(known.includes(k) || secretFiles.includes(k)
+          ? `${where} (${name}): ${k} cannot be set per tenant`
+          : `${where} (${name}): unknown key "${k}"${suggest(k, tenantKeys)}`);
+      }
+      const resolved = resolve(schema, [...layers, { where: `tenant ${name}`, values: {}, tenant: own }], env, overrides, errors);
+      tenants.push({ name: String(name), ...resolved, overrides: own });
+    });
+    if (!tenants.length && !errors.length) errors.push(`${tenantList.where}: "tenants" is empty`);
+
+    if (only?.length) {
+      const unknown = only.filter(n => !tenants.some(t => t.name === n));
+      if (unknown.length) errors.push(`Unknown tenant(s): ${unknown.join(', ')}; defined: ${tenants.map(t => t.name).join(', ')}`);
+      tenants.splice(0, tenants.length, ...tenants.filter(t => only.includes(t.name)));
+    }
+    applyRules(rules.filter(r => r.shared), config, errors, warnings);
+    for (const t of tenants) applyRules(rules.filter(r => !r.shared), t.config, errors, warnings, `tenant ${t.name}: `);
+  }
+
+  if (errors.length) {
+    throw configError(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { config, origin, tenants, hasTenants: !!tenantList, warnings, file, profile: profile || null };
+}
+
+/** Copy of the config with secret values masked, for printing. */
+export function maskConfig(config, schema) {
+  const out = {};
+  for (const entry of schema) {
+    const v = config[entry.key];
+    if (v === undefined) continue;
+    out[entry.key] = entry.secret ? '[REDACTED]' : v;
+  }
+  return out;
+}
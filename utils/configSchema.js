@@ -0,0 +1,330 @@
+// utils/configSchema.js
+import { ENCOUNTER_SOURCES, COMBINE_MODES } from './encounterSources.js';
+import { WATERMARK_MODES } from './watermark.js';
+import { parseInterval } from './schedule.js';
+import { KEY_ALGS, readJwks, resolveSigningKey } from './keys.js';
+import { SUBSCRIPTION_PAYLOADS } from './subscriptions.js';
+import { SERVER_PROFILES } from './fhirServer.js';
+
+/**
+ * Every setting the eCR flow understands. Keys double as env var names and as
+ * config file keys; see utils/config.js for how they are resolved.
+ */
+
+export const AUTH_MODES = ['SOF_BACKEND', 'PRIVATE_KEY_JWT', 'CLIENT_SECRET_BASIC', 'CLIENT_SECRET_POST'];
+export const FLOW_MODES = ['notify', 'launch'];
+export const DETECTION_MODES = ['poll', 'subscription'];
+const AUTO_ON_OFF = ['auto', 'on', 'off'];
+
+const str = (key, doc, extra = {}) => ({ key, type: 'string', doc, ...extra });
+const num = (key, def, doc, extra = {}) => ({ key, type: 'number', default: def, min: 0, doc, ...extra });
+const bool = (key, def, doc) => ({ key, type: 'boolean', default: def, doc });
+const oneOf = (key, values, def, doc) => ({ key, type: 'enum', values, default: def, doc });
+
+function isDate(v) {
+  return Number.isNaN(Date.parse(v)) ? 'not a valid date (use YYYY-MM-DD or an ISO timestamp)' : null;
+}
+
+function startsWithSlash(v) {
+  return v.startsWith('/') ? null : 'must start with /';
+}
+
+function isInterval(v) {
+  try {
+    parseInterval(v);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Keys a `tenants` entry may override: FHIR auth, search and eligibility. eCRNow, output,
+// logging, HTTP and submission settings are shared by all tenants.
+const TENANT_KEYS = new Set([
+  'AUTH_MODE', 'CLIENT_ID', 'CLIENT_SECRET', 'TOKEN_URL', 'SCOPE', 'KID', 'PRIVATE_KEY_PATH', 'KEYS_DIR', 'KEY_PASSPHRASE', 'SIGNING_ALG', 'JWKS_URL', 'REQUIRE_AUD', 'AUD',
+  'FHIR_BASE', 'START_DATE', 'END_DATE', 'DATE_FIELD', 'CONDITION_DATE_FIELD', 'CODES_CSV',
+  'SERVER_PROFILE', 'DETECT_CAPABILITIES', 'FHIR_INCLUDE', 'FHIR_POST_SEARCH', 'FHIR_PAGE_SIZE',
+  'TRIGGER_CODES_FILE', 'TRIGGER_VALUESET_URL', 'TERMINOLOGY_BASE', 'TERMINOLOGY_AUTH', 'CODE_CHUNK_MAX_CHARS', 'USE_POST_SEARCH',
+  'ENCOUNTER_SOURCE', 'ENCOUNTER_SOURCE_COMBINE', 'SEARCH_STATUS', 'ENCOUNTER_IDS', 'ENCOUNTER_IDS_FILE', 'PATIENT_IDS', 'PATIENT_IDS_FILE',
+  'BULK_GROUP_ID', 'BULK_POLL_INTERVAL_MS', 'BULK_MAX_WAIT_MINUTES',
+  'FILTER_STATUS', 'FILTER_EXCLUDE_STATUS', 'FILTER_CLASS', 'FILTER_TYPE', 'FILTER_SERVICE_PROVIDER', 'FILTER_LOCATION',
+  'FILTER_MIN_PERIOD_MINUTES', 'FILTER_REQUIRE_PERIOD_END',
+  'VALIDATION_MODE', 'THROTTLE_CONTEXT',
+  'WATERMARK_MODE', 'WATERMARK_OVERLAP_MINUTES', 'WATERMARK_MAX_FAILURES',
+  'SUBSCRIPTION_PAYLOAD', 'SUBSCRIPTION_FILTER',
+  'FETCH_CONCURRENCY', 'FHIR_BATCH_SIZE'
+]);
+
+export const CONFIG_SCHEMA = [
+  // === FHIR OAuth ===
+  oneOf('AUTH_MODE', AUTH_MODES, 'SOF_BACKEND', 'How to authenticate to the FHIR token endpoint'),
+  str('CLIENT_ID', 'FHIR client id'),
+  str('CLIENT_SECRET', 'For CLIENT_SECRET_* modes', { secret: true }),
+  str('TOKEN_URL', 'FHIR token endpoint'),
+  str('SCOPE', 'Requested scopes', { default: 'system/*.read' }),
+  str('KID', 'Key id registered with the EHR; default: newest key in KEYS_DIR'),
+  str('PRIVATE_KEY_PATH', 'PEM private key outside the key store (needs KID)'),
+  str('KEYS_DIR', 'Key store: <kid>.pem files plus jwks.json', { default: './keys' }),
+  str('KEY_PASSPHRASE', 'Encrypts keys keygen writes to KEYS_DIR; opens encrypted PKCS#8 keys', { secret: true }),
+  oneOf('SIGNING_ALG', KEY_ALGS, undefined, 'Default: the key\'s JWKS alg, else from the key type'),
+  str('JWKS_URL', 'Public URL of our JWKS; sent as the jku header of client assertions'),
+  bool('REQUIRE_AUD', true, 'Send aud with the token request'),
+  str('AUD', 'Audience override (defaults to TOKEN_URL)'),
+  num('TOKEN_REFRESH_SKEW_SECONDS', 60, 'Refresh tokens this long before expiry'),
+
+  // === JWKS endpoint (public keys of every selected tenant's KEYS_DIR) ===
+  bool('JWKS_SERVE', false, 'Serve the JWKS while the flow runs'),
+  str('JWKS_HOST', 'Listen address; 0.0.0.0 for all interfaces', { default: '127.0.0.1' }),
+  num('JWKS_PORT', 8090, 'Listen port'),
+  str('JWKS_PATH', 'Path the JWKS is served at', { default: '/.well-known/jwks.json', validate: startsWithSlash }),
+
+  // === FHIR server / search params ===
+  str('FHIR_BASE', 'FHIR server base URL'),
+  str('START_DATE', 'Search window start', { validate: isDate }),
+  str('END_DATE', 'Search window end', { validate: isDate }),
+  str('DATE_FIELD', 'Search parameter for the window', { default: 'recorded-date' }),
+  str('CONDITION_DATE_FIELD', 'Condition date parameter when it differs from DATE_FIELD'),
+  str('CODES_CSV', 'Trigger codes, "system|code" CSV', { default: '', aliases: ['CANCER_CODES'] }),
+
+  // === Trigger code value sets ===
+  str('TRIGGER_CODES_FILE', 'Local ValueSet or Bundle of ValueSets'),
+  str('TRIGGER_VALUESET_URL', 'Canonical URL; filters the file, or is $expand-ed'),
+  str('TERMINOLOGY_BASE', 'Terminology server for $expand'),
+  str('TERMINOLOGY_AUTH', 'Authorization header for the terminology server', { secret: true }),
+  num('CODE_CHUNK_MAX_CHARS', 1500, 'Max code list length per Condition search', { min: 1 }),
+  bool('USE_POST_SEARCH', false, 'What the "conditions" source uses'),
+
+  // === Encounter source(s) ===
+  { key: 'ENCOUNTER_SOURCE', type: 'list', values: ENCOUNTER_SOURCES, default: 'date', doc: 'CSV of encounter sources' },
+  oneOf('ENCOUNTER_SOURCE_COMBINE', COMBINE_MODES, 'union', 'How several sources are merged'),
+  str('ENCOUNTER_IDS', '"ids" source: CSV of Encounter ids'),
+  str('ENCOUNTER_IDS_FILE', '"ids" source: one Encounter id per line'),
+  str('PATIENT_IDS', '"patients" source: CSV of Patient ids'),
+  str('PATIENT_IDS_FILE', '"patients" source: one Patient id per line'),
+  str('SEARCH_STATUS', 'Encounter status search parameter for "date" / "patients" / reprocessing, e.g. finished'),
+
+  // === Bulk Data ($export) source ===
+  str('BULK_GROUP_ID', 'Group/{id}/$export; unset = system-level $export'),
+  num('BULK_POLL_INTERVAL_MS', 10000, 'Status polling interval'),
+  num('BULK_MAX_WAIT_MINUTES', 60, 'Give up on the export after this long'),
+
+  // === eCRNow auth & API ===
+  str('ECRNOW_TOKEN_URL', 'eCRNow token endpoint'),
+  str('ECRNOW_CLIENT_ID', 'eCRNow client id'),
+  str('ECRNOW_CLIENT_SECRET', 'eCRNow client secret', { secret: true }),
+  str('ECRNOW_USER_ID', 'Sent as userId if your realm expects it'),
+  str('ECRNOW_API_BASE', 'eCRNow base URL', { default: 'http://localhost:8081' }),
+  str('ECRNOW_NOTIFY_PATH', 'Notification endpoint path', { default: '/api/receive-notification' }),
+
+  // === eCRNow processing status (after submission) ===
+  bool('TRACK_ECR_STATUS', false, 'Poll eCRNow for eICR / RR status of submitted encounters'),
+  str('ECRNOW_EICR_PATH', 'eICR / RR records, queried by fhirServerUrl, patientId, encounterId', { default: '/api/eicrAndRRData', validate: startsWithSlash }),
+  str('ECRNOW_LAUNCH_STATUS_PATH', 'Launch status endpoint, same query; unset = not polled', { validate: startsWithSlash }),
+  num('ECR_STATUS_WAIT_SECONDS', 0, 'Keep polling this long after a run; 0 = one check per run'),
+  num('ECR_STATUS_POLL_SECONDS', 30, 'Between checks while waiting', { min: 1 }),
+  num('ECR_STATUS_MAX_AGE_HOURS', 72, 'Stop polling a submission after this long (marked expired)'),
+  bool('EXPORT_ECR_DOCUMENTS', true, 'Write eICR / RR documents to OUTPUT_DIR/ecr-documents'),
+
+  // === Notification bundle (notify flow) ===
+  str('SUBSCRIPTION_URL', 'Defaults to the eCRNow encounter-end Subscription'),
+  str('SUBSCRIPTION_TOPIC', 'Defaults to the MedMorph encounter-end topic'),
+  oneOf('VALIDATE_NOTIFICATIONS', ['error', 'warn', 'off'], 'error', 'Check each Bundle first: "error" does not send invalid ones'),
+  bool('NOTIFICATION_UNIQUE_IDS', true, 'Random Bundle id instead of "notification-full-resource"'),
+  bool('NOTIFICATION_ABSOLUTE_URLS', true, 'Encounter fullUrl from FHIR_BASE; false = relative (invalid)'),
+
+  // === Flow selector ===
+  oneOf('FLOW_MODE', FLOW_MODES, 'notify', '"notify" (receive-notification) or "launch" (launchPatient)'),
+
+  // === Eligibility filters (CSV lists, empty = no filter) ===
+  str('FILTER_STATUS', 'Allowed Encounter.status'),
+  str('FILTER_EXCLUDE_STATUS', 'Rejected Encounter.status; empty string disables', { default: 'cancelled,entered-in-error', allowEmpty: true }),
+  str('FILTER_CLASS', 'e.g. AMB,IMP,EMER'),
+  str('FILTER_TYPE', 'Type codes, "system|code" or "code"'),
+  str('FILTER_SERVICE_PROVIDER', 'Organization ids'),
+  str('FILTER_LOCATION', 'Location ids'),
+  num('FILTER_MIN_PERIOD_MINUTES', 0, 'Minimum encounter length'),
+  bool('FILTER_REQUIRE_PERIOD_END', false, 'Only finished encounters'),
+
+  // === launchPatient toggles ===
+  str('VALIDATION_MODE', 'Passed to launchPatient', { default: 'false' }),
+  str('THROTTLE_CONTEXT', 'Passed to launchPatient', { default: '1' }),
+
+  // === Output / submission ledger ===
+  str('OUTPUT_DIR', 'Ledger, dry-run payloads, watermark and run summaries', { default: './output' }),
+  bool('FORCE_RESUBMIT', false, 'Ignore ledger successes'),
+  bool('DRY_RUN', false, 'Write payloads to OUTPUT_DIR instead of POSTing'),
+
+  // === Incremental runs ===
+  oneOf('WATERMARK_MODE', WATERMARK_MODES, 'off', 'off | date | lastUpdated'),
+  num('WATERMARK_OVERLAP_MINUTES', 60, 'Re-read this much before the watermark'),
+  num('WATERMARK_MAX_FAILURES', 5, 'Failed attempts after which an encounter stops holding the watermark; 0 = no limit'),
+  str('WATERMARK_FILE', 'Defaults to OUTPUT_DIR/watermark.json'),
+  str('DAEMON_INTERVAL', 'e.g. 15m, 1h, @daily; unset = run once', { validate: isInterval }),
+
+  // === Encounter-end detection: searches, or notifications from a FHIR Subscription ===
+  oneOf('DETECTION_MODE', DETECTION_MODES, 'poll', '"poll" (searches, optionally DAEMON_INTERVAL) or "subscription" (listener)'),
+  oneOf('SUBSCRIPTION_PAYLOAD', SUBSCRIPTION_PAYLOADS, 'id-only', 'id-only Encounters are read from the FHIR server'),
+  str('SUBSCRIPTION_FILTER', 'Backport filter criteria, e.g. Encounter?class=AMB'),
+  num('SUBSCRIPTION_HEARTBEAT_SECONDS', 300, 'Heartbeat period to request; 0 = none'),
+  str('LISTENER_PUBLIC_URL', 'URL the FHIR server posts notifications to (reaches LISTENER_PATH)'),
+  str('LISTENER_HOST', 'Listen address; 0.0.0.0 for all interfaces', { default: '127.0.0.1' }),
+  num('LISTENER_PORT', 8091, 'Listen port'),
+  str('LISTENER_PATH', 'Notification path; tenants get <path>/<tenant>', { default: '/notifications', validate: startsWithSlash }),
+  str('LISTENER_SECRET', 'Sent in the Subscription as a bearer header; notifications without it are refused', { secret: true }),
+
+  // === Logging ===
+  oneOf('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], 'info', 'Minimum level'),
+  oneOf('LOG_FORMAT', ['json', 'text'], undefined, 'Default text on a TTY, else json'),
+  bool('PRINT_CONFIG', false, 'Log the resolved config (secrets masked) and exit'),
+
+  // === HTTP retry / rate limiting ===
+  num('HTTP_MAX_RETRIES', 3, 'Retries per request'),
+  num('HTTP_RETRY_BASE_MS', 500, 'First backoff'),
+  num('HTTP_RETRY_MAX_MS', 30000, 'Backoff cap'),
+  num('HTTP_MAX_RPS', 10, 'Per host; 0 = unlimited'),
+  num('HTTP_TIMEOUT_TOKEN_MS', 25000, 'Token request timeout'),
+  num('HTTP_TIMEOUT_SEARCH_MS', 30000, 'Search timeout'),
+  num('HTTP_TIMEOUT_READ_MS', 20000, 'Single resource read timeout'),
+  num('HTTP_TIMEOUT_SUBMIT_MS', 60000, 'launchPatient / notification timeout'),
+
+  // === Concurrency ===
+  num('SUBMIT_CONCURRENCY', 4, 'Parallel launchPatient / notification POSTs', { min: 1 }),
+  num('FETCH_CONCURRENCY', 4, 'Parallel Encounter/{id} reference reads', { min: 1 }),
+  num('FHIR_BATCH_SIZE', 50, 'References per batch Bundle; 0 = plain GETs'),
+
+  // === FHIR server capabilities (see utils/fhirServer.js) ===
+  oneOf('SERVER_PROFILE', Object.keys(SERVER_PROFILES), 'auto', 'Known server quirks: auto | hapi | epic | cerner | minimal'),
+  bool('DETECT_CAPABILITIES', true, 'Read the CapabilityStatement (/metadata) to plan searches'),
+  oneOf('FHIR_INCLUDE', AUTO_ON_OFF, 'auto', '_include=Condition:encounter on Condition searches'),
+  oneOf('FHIR_POST_SEARCH', AUTO_ON_OFF, 'auto', 'Whether POST Condition/_search may be used'),
+  num('FHIR_PAGE_SIZE', 0, '_count per search page; 0 = profile default, else 100')
+].map(e => (TENANT_KEYS.has(e.key) ? { ...e, tenant: true } : e));
+
+// SOF_BACKEND / PRIVATE_KEY_JWT need a key: PRIVATE_KEY_PATH, or KID (or any key) in the key store.
+// The key is also opened, so a missing or wrong KEY_PASSPHRASE fails before the run.
+function signingKeyProblem(cfg) {
+  if (!['SOF_BACKEND', 'PRIVATE_KEY_JWT'].includes(cfg.AUTH_MODE)) return null;
+  if (!cfg.PRIVATE_KEY_PATH) {
+    let keys;
+    try {
+      keys = readJwks(cfg.KEYS_DIR).keys;
+    } catch (e) {
+      return e.message;
+    }
+    if (!keys.length) {
+      return `No signing key for AUTH_MODE ${cfg.AUTH_MODE}: ${cfg.KEYS_DIR} has no keys (run "ecrnow keygen") and PRIVATE_KEY_PATH is not set`;
+    }
+    if (cfg.KID && !keys.some(k => k.kid === cfg.KID)) {
+      return `KID ${cfg.KID} is not in ${cfg.KEYS_DIR}/jwks.json and PRIVATE_KEY_PATH is not set`;
+    }
+  } else if (!cfg.KID) {
+    return null; // reported as a missing KID
+  }
+  try {
+    resolveSigningKey({ kid: cfg.KID, privateKeyPath: cfg.PRIVATE_KEY_PATH, keysDir: cfg.KEYS_DIR, alg: cfg.SIGNING_ALG, passphrase: cfg.KEY_PASSPHRASE });
+    return null;
+  } catch (e) {
+    return e.code === 'ENOENT' ? `Signing key not found: ${e.path}` : e.message;
+  }
+}
+
+const sourcesOf = cfg => cfg.ENCOUNTER_SOURCE.split(',');
+const usesCodes = cfg => sourcesOf(cfg).some(s => s.startsWith('condition') || s === 'bulk');
+
+// Replaces the scattered need() checks: everything the chosen modes need is checked before the run starts.
+// Rules are checked per tenant, except `shared` ones, which only look at settings common to all tenants.
+export const CONFIG_RULES = [
+  { keys: ['FHIR_BASE', 'TOKEN_URL', 'CLIENT_ID'] },
+  { keys: ['ECRNOW_API_BASE', 'ECRNOW_TOKEN_URL', 'ECRNOW_CLIENT_ID'], shared: true },
+  {
+    when: cfg => ['SOF_BACKEND', 'PRIVATE_KEY_JWT'].includes(cfg.AUTH_MODE) && cfg.PRIVATE_KEY_PATH,
+    keys: ['KID'],
+    because: 'PRIVATE_KEY_PATH is set'
+  },
+  { check: signingKeyProblem },
+  {
+    check: cfg => cfg.FLOW_MODE === 'notify' && !cfg.NOTIFICATION_ABSOLUTE_URLS && cfg.VALIDATE_NOTIFICATIONS === 'error'
+      ? 'NOTIFICATION_ABSOLUTE_URLS=false gives relative fullUrls, which VALIDATE_NOTIFICATIONS=error rejects; use VALIDATE_NOTIFICATIONS=warn to send them anyway'
+      : null,
+    shared: true
+  },
+  {
+    when: cfg => cfg.DETECTION_MODE === 'subscription',
+    keys: ['LISTENER_PUBLIC_URL'],
+    because: 'DETECTION_MODE is subscription',
+    shared: true
+  },
+  {
+    warn: cfg => cfg.DETECTION_MODE === 'subscription' && cfg.DAEMON_INTERVAL
+      ? 'DAEMON_INTERVAL is ignored with DETECTION_MODE=subscription'
+      : null,
+    shared: true
+  },
+  {
+    warn: cfg => cfg.DETECTION_MODE === 'subscription' && !cfg.LISTENER_SECRET
+      ? 'LISTENER_SECRET is not set: anyone who can reach the listener can trigger submissions'
+      : null,
+    shared: true
+  },
+  {
+    when: cfg => cfg.AUTH_MODE.startsWith('CLIENT_SECRET'),
+    keys: ['CLIENT_SECRET'],
+    because: `AUTH_MODE is ${AUTH_MODES.filter(m => m.startsWith('CLIENT_SECRET')).join(' or ')}`
+  },
+  {
+    when: cfg => usesCodes(cfg) && cfg.TRIGGER_VALUESET_URL && !cfg.TRIGGER_CODES_FILE,
+    keys: ['TERMINOLOGY_BASE'],
+    because: 'TRIGGER_VALUESET_URL is expanded without TRIGGER_CODES_FILE'
+  },
+  {
+    when: cfg => sourcesOf(cfg).includes('ids') && !cfg.ENCOUNTER_IDS,
+    keys: ['ENCOUNTER_IDS_FILE'],
+    because: 'ENCOUNTER_SOURCE includes ids and ENCOUNTER_IDS is not set'
+  },
+  {
+    warn: cfg => sourcesOf(cfg).includes('patients') && !cfg.PATIENT_IDS && !cfg.PATIENT_IDS_FILE
+      ? 'ENCOUNTER_SOURCE includes patients but neither PATIENT_IDS nor PATIENT_IDS_FILE is set'
+      : null
+  },
+  {
+    warn: cfg => sourcesOf(cfg).some(s => s.startsWith('condition')) && !cfg.CODES_CSV && !cfg.TRIGGER_CODES_FILE && !cfg.TRIGGER_VALUESET_URL
+      ? 'Condition source selected but no trigger codes are configured'
+      : null
+  },
+  {
+    warn: cfg => !usesCodes(cfg) && (cfg.CODES_CSV || cfg.TRIGGER_CODES_FILE || cfg.TRIGGER_VALUESET_URL)
+      ? `Trigger codes are configured but ENCOUNTER_SOURCE=${cfg.ENCOUNTER_SOURCE} does not use them`
+      : null
+  },
+  {
+    warn: cfg => SERVER_PROFILES[cfg.SERVER_PROFILE]?.conditionNeedsPatient && sourcesOf(cfg).some(s => s.startsWith('condition'))
+      && !cfg.PATIENT_IDS && !cfg.PATIENT_IDS_FILE
+      ? `SERVER_PROFILE ${cfg.SERVER_PROFILE} only searches Conditions per patient; set PATIENT_IDS or PATIENT_IDS_FILE`
+      : null
+  },
+  {
+    warn: cfg => cfg.USE_POST_SEARCH && cfg.FHIR_POST_SEARCH === 'off'
+      ? 'USE_POST_SEARCH is on but FHIR_POST_SEARCH=off; Condition searches use GET'
+      : null
+  },
+  {
+    warn: cfg => cfg.USE_POST_SEARCH && !sourcesOf(cfg).includes('conditions')
+      ? 'USE_POST_SEARCH only affects the "conditions" source, which ENCOUNTER_SOURCE does not include'
+      : null
+  },
+  {
+    warn: cfg => cfg.JWKS_URL && !cfg.JWKS_URL.startsWith('https://')
+      ? `JWKS_URL ${cfg.JWKS_URL} is not https; SMART servers only fetch jku URLs over TLS`
+      : null
+  },
+  {
+    warn: cfg => cfg.JWKS_URL && !['SOF_BACKEND', 'PRIVATE_KEY_JWT'].includes(cfg.AUTH_MODE)
+      ? `JWKS_URL is only used with signed client assertions, not AUTH_MODE ${cfg.AUTH_MODE}`
+      : null
+  },
+  {
+    warn: cfg => cfg.START_DATE && cfg.END_DATE && Date.parse(cfg.START_DATE) > Date.parse(cfg.END_DATE)
+      ? `START_DATE ${cfg.START_DATE} is after END_DATE ${cfg.END_DATE}`
+      : null
+  }
+];
@@ -0,0 +1,44 @@
+// utils/dryRun.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Dry-run output: the payloads a run would have POSTed to eCRNow, one file per
+ * encounter, plus a manifest of what would be sent and what was skipped (and why).
+ * Files go to `${outputDir}/dry-run-<timestamp>-<flow>[-<tenant>]/`.
+ */
+export function openDryRun({ outputDir, flowMode, tenant }) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(outputDir, `dry-run-${stamp}-${flowMode}${tenant ? `-${tenant}` : ''}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    dir,
+
+    /** Write one planned payload; returns the file path (relative to the dry-run dir). */
+    writePayload(encounterId, payload) {
+      const file = `Encounter-${String(encounterId).replace(/[^A-Za-z0-9._-]/g, '_')}.json`;
+      fs.writeFileSync(path.join(dir, file), JSON.stringify(payload, null, 2) + '\n');
+      return file;
+    },
+
+    /** Write manifest.json from the per-encounter results of the flow. */
+    writeManifest({ url, results }) {
+      const manifest = {
+        flowMode,
+        tenant,
+        url,
+        generatedAt: new Date().toISOString(),
+        wouldSend: results
+          .filter(r => r.outcome === 'planned')
+          .map(({ encounterId, patientId, file }) => ({ encounterId, patientId, file })),
+        skipped: results
+          .filter(r => r.outcome === 'skipped' || r.outcome === 'filtered')
+          .map(({ encounterId, detail }) => ({ encounterId, reason: detail }))
+      };
+      const file = path.join(dir, 'manifest.json');
+      fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+      return file;
+    }
+  };
+}
@@ -0,0 +1,232 @@
+// utils/ecrStatus.js
+import fs from 'fs';
+import path from 'path';
+import { http, timeouts } from './httpClient.js';
+import { mapPool } from './pool.js';
+import { logger } from './logger.js';
+
+/**
+ * What eCRNow did with a submission: a 2xx from launchPatient / receive-notification only
+ * means the request was accepted. eCRNow builds the eICR later (after its own timers),
+ * validates it, sends it on and eventually stores the Reportability Response (RR).
+ *
+ * States, per encounter:
+ *   submitted         - accepted by eCRNow, not checked yet
+ *   pending           - no eICR yet
+ *   eicr-generated    - an eICR exists, no RR yet
+ *   validation-failed - the eICR failed eCRNow's validation (final)
+ *   rr-received       - a Reportability Response is stored (final)
+ *   expired           - still not final after ECR_STATUS_MAX_AGE_HOURS (final; no more polling)
+ *
+ * eICR/RR records are read from eCRNow's eicrAndRRData API (a JSON array of its Eicr rows);
+ * the field names below are the ones eCRNow uses, with a few aliases seen across versions.
+ */
+
+export const ECR_STATES = ['submitted', 'pending', 'eicr-generated', 'validation-failed', 'rr-received', 'expired'];
+export const FINAL_ECR_STATES = new Set(['validation-failed', 'rr-received', 'expired']);
+
+const first = (record, names) => names.map(n => record?.[n]).find(v => v != null && v !== '');
+
+const FIELDS = {
+  eicrId: ['eicrDocId', 'id'],
+  eicrData: ['eicrData'],
+  version: ['docVersion', 'version'],
+  rrId: ['responseDocId', 'rrLogicalId', 'rrId'],
+  rrData: ['responseData', 'rrData'],
+  rrType: ['responseType', 'rrProcStatus'],
+  validationErrors: ['validationErrors', 'eicrValidationErrors'],
+  validationStatus: ['validationStatus', 'eicrProcStatus']
+};
+
+function statusKey({ fhirBase, flowMode, encounterId }) {
+  return `${fhirBase}|${flowMode}|${encounterId}`;
+}
+
+/**
+ * Reduce eCRNow's records for one encounter (each eICR version is a row) to a state, the
+ * document ids, any validation errors, and the documents to export.
+ *
+ * @returns {{ state: string, eicrIds: string[], rrIds: string[], rrType: string|null,
+ *            validationErrors: string[], documents: Array<{ kind: 'eicr'|'rr', id: string, content: string }> }}
+ */
+export function summarizeEcrRecords(records) {
+  const rows = [...(Array.isArray(records) ? records : records ? [records] : [])]
+    .sort((a, b) => Number(first(a, FIELDS.version) ?? 0) - Number(first(b, FIELDS.version) ?? 0));
+  const documents = [];
+  const eicrIds = [];
+  const rrIds = [];
+  let validationErrors = [];
+  let rrType = null;
+
+  for (const row of rows) {
+    const eicrId = first(row, FIELDS.eicrId);
+    const eicrData = first(row, FIELDS.eicrData);
+    const rrId = first(row, FIELDS.rrId);
+    const rrData = first(row, FIELDS.rrData);
+    if (eicrId != null && eicrData) eicrIds.push(String(eicrId));
+    if (eicrData) documents.push({ kind: 'eicr', id: String(eicrId ?? eicrIds.length), content: String(eicrData) });
+    if (rrData || rrId != null) {
+      rrIds.push(String(rrId ?? eicrId));
+      rrType = first(row, FIELDS.rrType) ?? rrType;
+    }
+    if (rrData) documents.push({ kind: 'rr', id: String(rrId ?? eicrId), content: String(rrData) });
+
+    // Only the latest version's validation result counts.
+    const errors = first(row, FIELDS.validationErrors);
+    const failed = /fail|invalid|error/i.test(String(first(row, FIELDS.validationStatus) ?? ''));
+    validationErrors = errors ? [].concat(errors).map(e => (typeof e === 'string' ? e : JSON.stringify(e))) : failed ? ['eICR failed validation'] : [];
+  }
+
+  const state = rrIds.length ? 'rr-received'
+    : validationErrors.length ? 'validation-failed'
+      : eicrIds.length || documents.length ? 'eicr-generated'
+        : 'pending';
+  return { state, eicrIds, rrIds, rrType, validationErrors, documents };
+}
+
+/**
+ * Ask eCRNow about one submission: its eICR/RR records (`eicrPath`) and, when
+ * `launchStatusPath` is set, its launch status. Both are queried by FHIR server, patient
+ * and encounter, with the submission's X-Request-ID for eCRNow's logs.
+ */
+export async function fetchEcrStatus({ apiBase, eicrPath, launchStatusPath, token, item }) {
+  const params = { fhirServerUrl: item.fhirBase, patientId: item.patientId, encounterId: item.encounterId };
+  const options = {
+    params,
+    headers: { Accept: 'application/json', ...(item.requestId ? { 'X-Request-ID': item.requestId } : {}) },
+    token,
+    timeout: timeouts.read
+  };
+
+  let launchStatus;
+  if (launchStatusPath) {
+    const r = await http.get(`${apiBase}${launchStatusPath}`, { ...options, validateStatus: s => (s >= 200 && s < 300) || s === 404 });
+    launchStatus = r.status === 404 ? 'unknown' : r.data?.status ?? r.data?.state ?? r.data;
+  }
+
+  // eCRNow answers 404 (or an empty list) until it has built an eICR.
+  const r = await http.get(`${apiBase}${eicrPath}`, { ...options, validateStatus: s => (s >= 200 && s < 300) || s === 404 });
+  const summary = summarizeEcrRecords(r.status === 404 ? [] : r.data);
+  return { ...summary, ...(launchStatus !== undefined ? { launchStatus } : {}) };
+}
+
+/**
+ * Write exported documents to `dir` as eicr-<id>.xml / rr-<id>.xml (existing files are kept).
+ * @returns {string[]} every document's path, written now or before
+ */
+export function exportEcrDocuments(dir, documents) {
+  if (!documents.length) return [];
+  fs.mkdirSync(dir, { recursive: true });
+  return documents.map(doc => {
+    const file = path.join(dir, `${doc.kind}-${String(doc.id).replace(/[^A-Za-z0-9._-]/g, '_')}.xml`);
+    if (!fs.existsSync(file)) fs.writeFileSync(file, doc.content);
+    return file;
+  });
+}
+
+/**
+ * Append-only JSON-lines log of eCRNow processing states, next to the submission ledger.
+ * A line is written when an encounter's state (or its documents) change.
+ *
+ * Entry shape:
+ *   { encounterId, patientId, fhirBase, tenant, flowMode, requestId, submittedAt, timestamp,
+ *     state, launchStatus, eicrIds, rrIds, rrType, validationErrors, files, error }
+ */
+export function openEcrStatusLog({ outputDir, fileName = 'ecr-status.jsonl' }) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const file = path.join(outputDir, fileName);
+
+  const readEntries = () => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null; // tolerate a truncated last line from an interrupted run
+      }
+    })
+    .filter(Boolean);
+
+  const latest = new Map();
+  for (const e of readEntries()) latest.set(statusKey(e), e);
+
+  return {
+    file,
+
+    entries: readEntries,
+
+    /** Latest entry per (server, flow, encounter). */
+    latest: () => [...latest.values()],
+
+    get: item => latest.get(statusKey(item)),
+
+    record(entry) {
+      const full = { ...entry, timestamp: new Date().toISOString() };
+      fs.appendFileSync(file, JSON.stringify(full) + '\n');
+      latest.set(statusKey(full), full);
+      return full;
+    }
+  };
+}
+
+/**
+ * Poll `check(item)` for every item until all are final or `waitMs` has passed (0 = one
+ * pass), every `pollMs`. New states go to `statusLog`; documents are exported under
+ * `exportDir(item)` unless it returns null. Items older than `maxAgeMs` are marked expired.
+ * Failed checks are logged and leave the item's state as it was.
+ *
+ * @returns {Promise<object[]>} the latest entry per item
+ */
+export async function trackEcrStatus({ items, check, statusLog, exportDir = () => null, waitMs = 0, pollMs = 30000, maxAgeMs = Infinity, concurrency = 4 }) {
+  const deadline = Date.now() + waitMs;
+  // New submissions are logged first, so a later run still polls them if every check here fails.
+  const latest = new Map(items.map(item => [statusKey(item), statusLog.get(item) ?? statusLog.record({ ...item, state: 'submitted' })]));
+  let open = items;
+
+  for (;;) {
+    await mapPool(open, concurrency, async item => {
+      const key = statusKey(item);
+      const previous = latest.get(key);
+      if (Date.now() - Date.parse(item.submittedAt) > maxAgeMs) {
+        logger.warn('eCRNow status not final; giving up', { encounterId: item.encounterId, state: previous.state, submittedAt: item.submittedAt });
+        latest.set(key, statusLog.record({ ...item, ...pick(previous), state: 'expired', error: undefined }));
+        return;
+      }
+      try {
+        const { documents, ...status } = await check(item);
+        const dir = exportDir(item);
+        const files = dir ? exportEcrDocuments(dir, documents) : [];
+        const next = { ...item, ...status, files, error: undefined };
+        if (changed(previous, next)) {
+          logger.info('eCRNow status', { encounterId: item.encounterId, state: next.state, eicrIds: next.eicrIds, rrIds: next.rrIds, validationErrors: next.validationErrors.length || undefined });
+          latest.set(key, statusLog.record(next));
+        }
+      } catch (e) {
+        logger.warn('eCRNow status check failed', { encounterId: item.encounterId, status: e.response?.status, error: e.response?.data ?? e.message });
+        latest.set(key, { ...previous, error: e.message });
+      }
+    });
+    open = open.filter(item => !FINAL_ECR_STATES.has(latest.get(statusKey(item)).state));
+    if (!open.length || Date.now() + pollMs > deadline) break;
+    await new Promise(res => setTimeout(res, pollMs));
+  }
+  return items.map(item => latest.get(statusKey(item)));
+}
+
+// The status fields carried over when an item expires.
+function pick({ launchStatus, eicrIds, rrIds, rrType, validationErrors, files }) {
+  return { launchStatus, eicrIds, rrIds, rrType, validationErrors, files };
+}
+
+function changed(previous, next) {
+  const fields = ['state', 'launchStatus', 'eicrIds', 'rrIds', 'validationErrors', 'files'];
+  return fields.some(f => JSON.stringify(previous?.[f]) !== JSON.stringify(next[f]));
+}
+
+/** Count entries by state: { 'rr-received': 2, pending: 1, … }. */
+export function countEcrStates(entries) {
+  const counts = {};
+  for (const e of entries) counts[e.state] = (counts[e.state] || 0) + 1;
+  return counts;
+}
@@ -0,0 +1,133 @@
+// utils/encounterFilters.js
+
+/**
+ * Eligibility filters applied between fetching and submitting Encounters.
+ * Every criterion is optional; an empty list / unset value means "don't filter on this".
+ *
+ * Codes and references may be given with or without their prefix:
+ *   class "AMB" or "http://terminology.hl7.org/CodeSystem/v3-ActCode|AMB"
+ *   type  "270427003" or "http://snomed.info/sct|270427003"
+ *   serviceProvider / location "123" or "Organization/123" / "Location/123"
+ */
+
+function csv(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function codingMatches(coding, wanted) {
+  return wanted.some(w => {
+    if (!w.includes('|')) return coding?.code === w;
+    const [system, code] = w.split('|');
+    return coding?.code === code && coding?.system === system;
+  });
+}
+
+function referenceMatches(reference, wanted) {
+  if (!reference) return false;
+  const id = reference.split('/').pop();
+  return wanted.some(w => w === reference || w === id || reference.endsWith(`/${w}`));
+}
+
+/**
+ * Build the list of checks from options. Each check returns a rejection reason or null.
+ *
+ * @param {object} opts
+ * @param {string|string[]} [opts.statuses]          - Allowed Encounter.status values
+ * @param {string|string[]} [opts.excludeStatuses]   - Rejected Encounter.status values
+ * @param {string|string[]} [opts.classes]           - Allowed Encounter.class codes (AMB, IMP, EMER, …)
+ * @param {string|string[]} [opts.typeCodes]         - Allowed Encounter.type codes (any coding may match)
+ * @param {string|string[]} [opts.serviceProviders]  - Allowed Encounter.serviceProvider references
+ * @param {string|string[]} [opts.locations]         - Allowed Encounter.location[].location references
+ * @param {number} [opts.minPeriodMinutes]           - Minimum period.end - period.start (only checked when both are set)
+ * @param {boolean} [opts.requirePeriodEnd]          - Reject encounters without period.end
+ */
+export function buildEncounterFilters({
+  statuses,
+  excludeStatuses,
+  classes,
+  typeCodes,
+  serviceProviders,
+  locations,
+  minPeriodMinutes,
+  requirePeriodEnd = false
+} = {}) {
+  const checks = [];
+  const allow = csv(statuses);
+  const deny = csv(excludeStatuses);
+  const cls = csv(classes);
+  const types = csv(typeCodes);
+  const orgs = csv(serviceProviders);
+  const locs = csv(locations);
+
+  if (allow.length) {
+    checks.push(enc => (allow.includes(enc.status) ? null : `status "${enc.status}" not in ${allow.join('|')}`));
+  }
+  if (deny.length) {
+    checks.push(enc => (deny.includes(enc.status) ? `status "${enc.status}" is excluded` : null));
+  }
+  if (cls.length) {
+    // R4 class is a single Coding; R5 made it a list of CodeableConcepts.
+    checks.push(enc => {
+      const codings = Array.isArray(enc.class) ? enc.class.flatMap(c => c.coding || []) : [enc.class];
+      return codings.some(c => codingMatches(c, cls))
+        ? null
+        : `class "${codings.map(c => c?.code).filter(Boolean).join(',') || 'none'}" not in ${cls.join('|')}`;
+    });
+  }
+  if (types.length) {
+    checks.push(enc => {
+      const codings = (enc.type || []).flatMap(t => t.coding || []);
+      return codings.some(c => codingMatches(c, types)) ? null : 'no matching type code';
+    });
+  }
+  if (orgs.length) {
+    checks.push(enc =>
+      referenceMatches(enc.serviceProvider?.reference, orgs)
+        ? null
+        : `serviceProvider "${enc.serviceProvider?.reference || 'none'}" not allowed`
+    );
+  }
+  if (locs.length) {
+    checks.push(enc =>
+      (enc.location || []).some(l => referenceMatches(l.location?.reference, locs)) ? null : 'no allowed location'
+    );
+  }
+  if (requirePeriodEnd) {
+    checks.push(enc => (enc.period?.end ? null : 'period.end not set (encounter not finished)'));
+  }
+  if (Number(minPeriodMinutes) > 0) {
+    checks.push(enc => {
+      const start = Date.parse(enc.period?.start);
+      const end = Date.parse(enc.period?.end);
+      if (Number.isNaN(start) || Number.isNaN(end)) return null;
+      const minutes = (end - start) / 60000;
+      return minutes >= Number(minPeriodMinutes)
+        ? null
+        : `period ${Math.round(minutes)} min shorter than ${minPeriodMinutes} min`;
+    });
+  }
+  return checks;
+}
+
+/**
+ * Split encounters into eligible ones and rejected ones with the first failing reason.
+ * @returns {{ eligible: Array, rejected: Array<{ encounter: object, reason: string }> }}
+ */
+export function applyEncounterFilters(encounters, checks) {
+  const eligible = [];
+  const rejected = [];
+  for (const enc of encounters) {
+    let reason = null;
+    for (const check of checks) {
+      reason = check(enc);
+      if (reason) break;
+    }
+    if (reason) rejected.push({ encounter: enc, reason });
+    else eligible.push(enc);
+  }
+  return { eligible, rejected };
+}
@@ -0,0 +1,182 @@
+// utils/encounterSources.js
+import fs from 'fs';
+import { fetchEncountersByConditionCodes, fetchEncountersByDateRange } from './fhirQueries.js';
+import { fetchEncountersByConditionCodesPost } from './fhirQueriesPost.js';
+import { fetchEncountersByBulkExport } from './bulkExport.js';
+import { resolveReferences } from './fhirBatch.js';
+import { mapPool } from './pool.js';
+import { chunkCodes } from './valueSets.js';
+import { logger } from './logger.js';
+
+/**
+ * Where Encounters come from. Several sources can be combined; results are
+ * deduplicated by Encounter id.
+ *
+ *   date            - Encounter search over the date window (fetchEncountersByDateRange)
+ *   condition-get   - Conditions by code via GET, then their Encounters
+ *   condition-post  - Conditions by code via POST Condition/_search, then their Encounters
+ *   conditions      - condition-post if usePostSearch, else condition-get
+ *   ids             - explicit Encounter ids (list and/or file)
+ *   patients        - Encounters of a list of patients, within the date window
+ *   bulk            - FHIR Bulk Data $export
+ */
+export const ENCOUNTER_SOURCES = ['date', 'condition-get', 'condition-post', 'conditions', 'ids', 'patients', 'bulk'];
+export const COMBINE_MODES = ['union', 'intersection'];
+
+/**
+ * Read ids from a text/CSV file: one per line or comma-separated, optional "Type/" prefix,
+ * blank lines and lines starting with # ignored. The first column of a CSV row is used.
+ */
+export function readIdList(file) {
+  return fs
+    .readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(',')[0].trim().replace(/^"|"$/g, ''))
+    .map(id => id.split('/').pop())
+    .filter(id => id && !/^(id|encounterid|patientid)$/i.test(id)); // skip a header row
+}
+
+/** Parse a source list like "date,conditions" and reject unknown names up front. */
+export function parseSources(spec) {
+  const sources = String(spec || 'date')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = sources.filter(s => !ENCOUNTER_SOURCES.includes(s));
+  if (unknown.length) {
+    throw new Error(`Unsupported ENCOUNTER_SOURCE: ${unknown.join(', ')} (expected ${ENCOUNTER_SOURCES.join(' | ')})`);
+  }
+  return sources;
+}
+
+/**
+ * Fetch Encounters from every source in `sources` and combine them.
+ *
+ * @param {object} opts
+ * @param {string[]} opts.sources            - Names from ENCOUNTER_SOURCES
+ * @param {string} [opts.combine]            - "union" (default) or "intersection"
+ * @param {string} opts.fhirBase             - FHIR base URL (no trailing slash)
+ * @param {string|object} opts.token         - Bearer token or token manager
+ * @param {string} [opts.start]              - Window start
+ * @param {string} [opts.end]                - Window end
+ * @param {string} [opts.dateField]          - Encounter date search parameter for the window
+ * @param {string} [opts.conditionDateField] - Condition date search parameter (default dateField)
+ * @param {string} [opts.status]             - Encounter status search parameter for "date" / "patients"
+ * @param {string} [opts.codesCsv]           - Condition codes "system|code,…"
+ * @param {number} [opts.codeChunkMaxChars]  - Split long code lists into searches of this encoded size (default 1500)
+ * @param {boolean} [opts.usePostSearch]     - What "conditions" means
+ * @param {boolean} [opts.postSearch]        - false: the server refuses POST _search, so "condition-post" uses GET
+ * @param {boolean} [opts.include]           - false: no _include; Condition.encounter references are read
+ * @param {boolean} [opts.conditionNeedsPatient] - Condition searches run once per patient in `patientIds`
+ * @param {number} [opts.pageSize]           - _count for searches (default 100)
+ * @param {string[]} [opts.encounterIds]     - Encounters for the "ids" source
+ * @param {string[]} [opts.patientIds]       - Patients for the "patients" source
+ * @param {object} [opts.bulk]               - { groupId, pollIntervalMs, maxWaitMs } for "bulk"
+ * @param {number} [opts.concurrency]        - Parallel reads (default 4)
+ * @param {number} [opts.batchSize]          - References per batch Bundle (default 50)
+ * @returns {Promise<Array>}                 - Array of Encounter resources
+ */
+export async function fetchEncountersFromSources({ sources, combine = 'union', ...ctx }) {
+  if (!COMBINE_MODES.includes(combine)) {
+    throw new Error(`Unsupported ENCOUNTER_SOURCE_COMBINE: ${combine} (expected ${COMBINE_MODES.join(' | ')})`);
+  }
+
+  const sets = [];
+  for (const source of sources) {
+    const encounters = await fetchFromSource(source, ctx);
+    logger.info('Encounter source done', { source, encounters: encounters.length });
+    sets.push(encounters);
+  }
+  return combineEncounters(sets, combine);
+}
+
+function combineEncounters(sets, combine) {
+  const byId = sets.map(list => new Map(list.filter(e => e?.id).map(e => [e.id, e])));
+  if (byId.length === 0) return [];
+
+  if (combine === 'intersection') {
+    const [first, ...rest] = byId;
+    return [...first.values()].filter(e => rest.every(m => m.has(e.id)));
+  }
+  const all = new Map();
+  for (const m of byId) m.forEach((e, id) => all.has(id) || all.set(id, e));
+  return [...all.values()];
+}
+
+async function fetchFromSource(source, ctx) {
+  const { fhirBase, token, start, end, dateField, status, codesCsv, concurrency = 4, batchSize = 50, pageSize: count = 100 } = ctx;
+
+  switch (source) {
+    case 'date':
+      return fetchEncountersByDateRange({ fhirBase, token, start, end, dateField, status, count });
+
+    case 'conditions':
+      return fetchFromSource(ctx.usePostSearch && ctx.postSearch !== false ? 'condition-post' : 'condition-get', ctx);
+
+    case 'condition-get':
+    case 'condition-post': {
+      let post = source === 'condition-post';
+      if (post && ctx.postSearch === false) {
+        logger.info('POST Condition/_search is not supported by this server; using GET');
+        post = false;
+      }
+      // Large value sets would overflow the URL / body limit: one search per chunk, merged.
+      const codes = (codesCsv || '').split(',').map(s => s.trim()).filter(Boolean);
+      const chunks = codes.length ? chunkCodes(codes, { maxChars: ctx.codeChunkMaxChars }) : [''];
+      if (chunks.length > 1) logger.info('Code list split into several Condition searches', { codes: codes.length, searches: chunks.length });
+
+      // Some servers only search Conditions within one patient.
+      const patients = ctx.conditionNeedsPatient ? ctx.patientIds || [] : [undefined];
+      if (!patients.length) {
+        throw new Error('This server only searches Conditions per patient (SERVER_PROFILE): set PATIENT_IDS or PATIENT_IDS_FILE');
+      }
+
+      const parts = [];
+      for (const patientId of patients) {
+        for (const chunk of chunks) {
+          const args = {
+            fhirBase, token, start, end, dateField: ctx.conditionDateField || dateField, codesCsv: chunk, patientId,
+            include: ctx.include !== false, count, concurrency, batchSize
+          };
+          if (post) {
+            try {
+              parts.push(await fetchEncountersByConditionCodesPost(args));
+              continue;
+            } catch (e) {
+              // Servers that refuse POST _search say so with 404 / 405 / 501; use GET from here on.
+              if (![404, 405, 501].includes(e.response?.status)) throw e;
+              logger.warn('POST Condition/_search refused; using GET searches', { status: e.response.status });
+              post = false;
+            }
+          }
+          parts.push(await fetchEncountersByConditionCodes(args));
+        }
+      }
+      return combineEncounters(parts, 'union');
+    }
+
+    case 'ids': {
+      const ids = ctx.encounterIds || [];
+      if (!ids.length) throw new Error('Missing env: ENCOUNTER_IDS or ENCOUNTER_IDS_FILE (required by ENCOUNTER_SOURCE=ids)');
+      const found = await resolveReferences({ fhirBase, token, resourceType: 'Encounter', refs: ids, chunkSize: batchSize, concurrency });
+      return [...found.values()];
+    }
+
+    case 'patients': {
+      const patientIds = ctx.patientIds || [];
+      if (!patientIds.length) throw new Error('Missing env: PATIENT_IDS or PATIENT_IDS_FILE (required by ENCOUNTER_SOURCE=patients)');
+      const perPatient = await mapPool(patientIds, concurrency, patientId =>
+        fetchEncountersByDateRange({ fhirBase, token, start, end, dateField, patientId, status, count })
+      );
+      return perPatient.flat();
+    }
+
+    case 'bulk':
+      return fetchEncountersByBulkExport({ fhirBase, token, since: start, end, codesCsv, ...ctx.bulk });
+
+    default:
+      throw new Error(`Unsupported ENCOUNTER_SOURCE: ${source}`);
+  }
+}
@@ -0,0 +1,12 @@
+// utils/exitCodes.js
+
+/**
+ * Process exit codes shared by `npm run run` and the CLI, so cron / CI can tell
+ * "nothing to do" from "some submissions failed" from "could not run at all".
+ */
+export const EXIT_CODES = {
+  OK: 0,       // finished; every submission (if any) succeeded
+  ERROR: 1,    // the run could not complete (auth, search, network, unexpected error)
+  USAGE: 2,    // bad command line or invalid configuration
+  PARTIAL: 3   // finished, but some encounters or tenants failed
+};
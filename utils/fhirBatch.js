@@ -0,0 +1,116 @@
+// utils/fhirBatch.js
+import { http, timeouts } from './httpClient.js';
+import { mapPool } from './pool.js';
+import { logger } from './logger.js';
+
+/**
+ * Resolve many references of one resource type ("Encounter/123" or bare "123") with FHIR
+ * `batch` Bundles POSTed to the server base, `chunkSize` reads per Bundle.
+ *
+ * If the server rejects batch (4xx other than 401, or 501, or a reply that is not a
+ * batch-response Bundle), the remaining ids are read with individual GETs instead.
+ * Entries the server could not read (404, 410, …) are logged and left out.
+ *
+ * @param {object} opts
+ * @param {string} opts.fhirBase             - FHIR base URL (no trailing slash)
+ * @param {string|object} opts.token         - Bearer token or token manager
+ * @param {string} opts.resourceType         - "Encounter", "Patient", …
+ * @param {Iterable<string>} opts.refs       - References or ids to resolve
+ * @param {number} [opts.chunkSize]          - Reads per batch Bundle (default 50; 0 = never batch)
+ * @param {number} [opts.concurrency]        - Parallel batch POSTs / GETs (default 4)
+ * @returns {Promise<Map<string, object>>}   - id -> resource
+ */
+export async function resolveReferences({ fhirBase, token, resourceType, refs, chunkSize = 50, concurrency = 4 }) {
+  const ids = [...new Set(
+    [...refs]
+      .map(ref => idFromReference(ref, resourceType))
+      .filter(Boolean)
+  )];
+  const found = new Map();
+  if (ids.length === 0) return found;
+
+  const headers = { Accept: 'application/fhir+json' };
+  let batchSupported = chunkSize > 0;
+
+  const readOne = async id => {
+    try {
+      const res = await http
+        .get(`${fhirBase}/${resourceType}/${id}`, { headers, token, timeout: timeouts.read })
+        .then(r => r.data);
+      if (res?.resourceType === resourceType && res.id) found.set(res.id, res);
+    } catch (e) {
+      logger.error(`Failed to fetch ${resourceType}/${id}`, { status: e.response?.status, error: e.response?.data || e.message });
+    }
+  };
+
+  const readChunk = async chunk => {
+    if (batchSupported) {
+      const bundle = await postBatch({ fhirBase, token, resourceType, ids: chunk });
+      if (bundle) {
+        harvestBatchResponse(bundle, resourceType, found);
+        return;
+      }
+      if (batchSupported) {
+        logger.warn('Server rejected batch Bundle; falling back to individual GETs', { fhirBase });
+        batchSupported = false;
+      }
+    }
+    await mapPool(chunk, concurrency, readOne);
+  };
+
+  const chunks = batchSupported ? chunked(ids, chunkSize) : [ids];
+  await mapPool(chunks, batchSupported ? concurrency : 1, readChunk);
+
+  logger.info(`Resolved ${resourceType} references`, { resolved: found.size, requested: ids.length });
+  return found;
+}
+
+function idFromReference(ref, resourceType) {
+  if (!ref) return null;
+  const s = String(ref);
+  if (!s.includes('/')) return s;
+  const parts = s.split('/'); // also handles absolute ".../Encounter/123"
+  const i = parts.lastIndexOf(resourceType);
+  return i >= 0 ? parts[i + 1] || null : null;
+}
+
+function chunked(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+// Returns the batch-response Bundle, or null if the server rejected batch.
+async function postBatch({ fhirBase, token, resourceType, ids }) {
+  const body = {
+    resourceType: 'Bundle',
+    type: 'batch',
+    entry: ids.map(id => ({ request: { method: 'GET', url: `${resourceType}/${id}` } }))
+  };
+  try {
+    const r = await http.post(fhirBase, body, {
+      headers: { Accept: 'application/fhir+json', 'Content-Type': 'application/fhir+json' },
+      token,
+      timeout: timeouts.search,
+      idempotent: true
+    });
+    const b = r.data;
+    return b?.resourceType === 'Bundle' && b.type === 'batch-response' ? b : null;
+  } catch (e) {
+    const status = e.response?.status;
+    if ((status >= 400 && status < 500 && status !== 401) || status === 501) return null;
+    throw e;
+  }
+}
+
+function harvestBatchResponse(bundle, resourceType, found) {
+  for (const e of bundle.entry || []) {
+    const res = e.resource;
+    if (res?.resourceType === resourceType && res.id) {
+      found.set(res.id, res);
+    } else {
+      const outcome = res?.resourceType === 'OperationOutcome' ? res.issue?.[0]?.diagnostics : undefined;
+      logger.warn('Batch entry not resolved', { status: e.response?.status, outcome });
+    }
+  }
+}
@@ -1,4 +1,7 @@
-import axios from 'axios';
+import { http, timeouts } from './httpClient.js';
+import { resolveReferences } from './fhirBatch.js';
+import { nextPageUrl } from './fhirServer.js';
+import { logger } from './logger.js';
 
 function buildCodeParam(codesCsv) {
   const parts = (codesCsv || '')
@@ -10,58 +13,61 @@ function buildCodeParam(codesCsv) {
 
 /**
  * Fetch Encounters connected to Conditions with given codes, within date window.
- * 1) Try _include=Condition:encounter
- * 2) If none, follow Condition.encounter references individually
+ * 1) Condition search with _include=Condition:encounter (skipped when `include` is false)
+ * 2) If none, resolve Condition.encounter references with batch Bundles of `batchSize`
+ *    (individual GETs, `concurrency` at a time, if the server rejects batch)
+ * `token` is a bearer string or a token manager (utils/tokenManager.js). `patientId`
+ * restricts the search to one patient, for servers that only search Conditions per patient.
  */
-export async function fetchEncountersByConditionCodes({ fhirBase, token, start, end, dateField, codesCsv }) {
+export async function fetchEncountersByConditionCodes({
+  fhirBase, token, start, end, dateField, codesCsv, patientId, include = true, count = 100, concurrency = 4, batchSize = 50
+}) {
   const codeParam = buildCodeParam(codesCsv);
   const params = new URLSearchParams();
   if (codeParam) params.append('code', codeParam);
   if (start) params.append(dateField, `ge${start}`);
   if (end) params.append(dateField, `le${end}`);
-//   params.append('_include', 'Condition:encounter');
-  params.append('_count', '100');
+  if (patientId) params.append('patient', patientId.startsWith('Patient/') ? patientId : `Patient/${patientId}`);
+  params.append('_count', String(count));
 
-  let url = `${fhirBase}/Encounter?${params.toString()}`;
-  console.log(url);
-  const headers = { Authorization: `Bearer ${token}`, Accept: 'application/fhir+json' };
+  let url = include ? `${fhirBase}/Condition?${params.toString()}&_include=Condition:encounter` : null;
+  logger.debug('Condition search', { url });
+  const headers = { Accept: 'application/fhir+json' };
   const encs = new Map();
 
   // Pass 1: include
   while (url) {
-    const r = await axios.get(url, { headers, timeout: 30000 });
+    const r = await http.get(url, { headers, token, timeout: timeouts.search });
     const b = r.data;
     (b.entry || []).forEach(e => {
       const res = e.resource;
       if (res?.resourceType === 'Encounter' && res.id) encs.set(res.id, res);
     });
-    const next = (b.link || []).find(l => l.relation === 'next');
-    url = next?.url || null;
+    url = nextPageUrl(b, fhirBase);
   }
 
   // Pass 2 (fallback): follow references if none found
   if (encs.size === 0) {
     let url2 = `${fhirBase}/Condition?${params.toString()}`;
-    console.log(url2);
+    logger.debug('Condition search (reference fallback)', { url: url2 });
+    const refs = new Set();
     while (url2) {
-      const r = await axios.get(url2, { headers, timeout: 30000 });
+      const r = await http.get(url2, { headers, token, timeout: timeouts.search });
       const b = r.data;
       for (const e of b.entry || []) {
         const c = e.resource;
         if (c?.resourceType === 'Condition') {
           const ref = c?.encounter?.reference; // e.g., "Encounter/123"
-          if (ref?.startsWith('Encounter/')) {
-            const id = ref.split('/')[1];
-            if (!encs.has(id)) {
-              const er = await axios.get(`${fhirBase}/Encounter/${id}`, { headers, timeout: 15000 });
-              encs.set(id, er.data);
-            }
-          }
+          if (ref?.startsWith('Encounter/')) refs.add(ref);
         }
       }
-      const next = (b.link || []).find(l => l.relation === 'next');
-      url2 = next?.url || null;
+      url2 = nextPageUrl(b, fhirBase);
     }
+
+    const resolved = await resolveReferences({
+      fhirBase, token, resourceType: 'Encounter', refs, chunkSize: batchSize, concurrency
+    });
+    resolved.forEach((enc, id) => encs.set(id, enc));
   }
 
   return Array.from(encs.values());
@@ -79,7 +85,7 @@ export async function fetchEncountersByDateRange({
   status,            // optional: restrict by status (e.g., 'finished,in-progress')
   count = 100        // page size
 }) {
-  const headers = { Authorization: `Bearer ${token}`, Accept: 'application/fhir+json' };
+  const headers = { Accept: 'application/fhir+json' };
   const encs = new Map();
 
   const params = new URLSearchParams();
@@ -90,17 +96,16 @@ export async function fetchEncountersByDateRange({
   params.append('_count', String(count));
 
   let url = `${fhirBase}/Encounter?${params.toString()}`;
-  console.log(url);
+  logger.debug('Encounter search', { url });
 
   while (url) {
-    const r = await axios.get(url, { headers, timeout: 30000 });
+    const r = await http.get(url, { headers, token, timeout: timeouts.search });
     const b = r.data;
     (b.entry || []).forEach(e => {
       const res = e.resource;
       if (res?.resourceType === 'Encounter' && res.id) encs.set(res.id, res);
     });
-    const next = (b.link || []).find(l => l.relation === 'next');
-    url = next?.url || null;
+    url = nextPageUrl(b, fhirBase);
   }
 
   return Array.from(encs.values());
@@ -1,5 +1,8 @@
 // utils/fhirQueries.js
-import axios from 'axios';
+import { http, timeouts } from './httpClient.js';
+import { resolveReferences } from './fhirBatch.js';
+import { nextPageUrl } from './fhirServer.js';
+import { logger } from './logger.js';
 
 /**
  * Build a single FHIR code param value from CSV:
@@ -17,18 +20,22 @@ function buildCodeParam(codesCsv) {
  * POST /Condition/_search to find Conditions by code (and optional date window),
  * include the linked Encounter (and optionally Patient), then return unique Encounters.
  *
- * If the server does not return included Encounters, it falls back to fetching
- * Encounter/{id} from each Condition.encounter.reference.
+ * If the server does not return included Encounters, it falls back to resolving each
+ * Condition.encounter.reference through batch Bundles (see utils/fhirBatch.js).
  *
  * @param {object} opts
  * @param {string} opts.fhirBase             - FHIR base URL (no trailing slash)
- * @param {string} opts.token                - Bearer token for the FHIR server
+ * @param {string|object} opts.token         - Bearer token for the FHIR server, or a token manager
  * @param {string} [opts.start]              - ISO date (e.g. "2025-08-01") for lower bound
  * @param {string} [opts.end]                - ISO date for upper bound
  * @param {string} [opts.dateField]          - One of "recorded-date" | "onset-date" | "_lastUpdated" (default "recorded-date")
  * @param {string} [opts.codesCsv]           - CSV of codes "system|code,system|code"
+ * @param {string} [opts.patientId]         - Only this patient's Conditions (servers that search per patient)
+ * @param {boolean} [opts.include]           - Ask for _include at all (default true; false = read references)
  * @param {boolean} [opts.includePatient]    - Whether to include Patient (default true)
  * @param {number} [opts.count]              - Page size (default 100)
+ * @param {number} [opts.concurrency]        - Parallel batch POSTs / Encounter reads in the fallback (default 4)
+ * @param {number} [opts.batchSize]          - References per batch Bundle (default 50; 0 = individual GETs)
  * @returns {Promise<Array>}                 - Array of Encounter resources
  */
 export async function fetchEncountersByConditionCodesPost({
@@ -38,11 +45,14 @@ export async function fetchEncountersByConditionCodesPost({
   end,
   dateField,
   codesCsv = '',
+  patientId,
+  include = true,
   includePatient = true,
-  count = 100
+  count = 100,
+  concurrency = 4,
+  batchSize = 50
 }) {
   const headers = {
-    Authorization: `Bearer ${token}`,
     Accept: 'application/fhir+json',
     'Content-Type': 'application/x-www-form-urlencoded'
   };
@@ -55,81 +65,87 @@ export async function fetchEncountersByConditionCodesPost({
   if (codeParam) form.append('code', codeParam);
 
   // Add date filters if provided
-  // If you hit 400 with "not supported" for this combo, try dateField = 'onset-date' or '_lastUpdated'.
+  // The flow picks a date parameter the server lists for Condition (utils/fhirServer.js dateParamFor).
   if (start) form.append(dateField, `ge${start}`);
   if (end) form.append(dateField, `le${end}`);
 
-  form.append('_include', 'Condition:encounter');
-  if (includePatient) form.append('_include', 'Condition:subject');
+  const patientRef = patientId && (patientId.startsWith('Patient/') ? patientId : `Patient/${patientId}`);
+  if (patientRef) form.append('patient', patientRef);
+
+  if (include) {
+    form.append('_include', 'Condition:encounter');
+    if (includePatient) form.append('_include', 'Condition:subject');
+  }
   form.append('_count', String(count));
 
   // 1) POST /Condition/_search
   const searchUrl = `${fhirBase}/Condition/_search`;
-  let bundle = await axios
-    .post(searchUrl, form.toString(), { headers, timeout: 30000 })
+  let bundle = await http
+    .post(searchUrl, form.toString(), { headers, token, timeout: timeouts.search, idempotent: true })
     .then(r => r.data);
 
+  // Helper to harvest included Encounters from a bundle
+  const harvestEncounters = b => {
+    (b.entry || []).forEach(e => {
+      const res = e.resource;
+      if (res?.resourceType === 'Encounter' && res.id) {
+        encounters.set(res.id, res);
+      }
+    });
+  };
+
+  harvestEncounters(bundle);
+  const resolve = refs =>
+    resolveReferences({ fhirBase, token, resourceType: 'Encounter', refs, chunkSize: batchSize, concurrency })
+      .then(found => found.forEach((enc, id) => encounters.set(id, enc)));
+
     // Count and log Conditions
     if (bundle.resourceType === 'Bundle' && Array.isArray(bundle.entry)) {
         const conditions = bundle.entry.filter(
             e => e.resource.resourceType === 'Condition'
         );
 
-        console.log(`\n[INFO] Found ${conditions.length} Condition(s)`);
+        logger.info('Condition search returned', { conditions: conditions.length });
         // Extract encounter refs from the Conditions we just logged
         const encounterRefs = conditions
             .map(c => c.resource?.encounter?.reference)            // e.g., "Encounter/123"
             .filter(ref => typeof ref === 'string' && ref.startsWith('Encounter/'));
 
-        console.log(`[INFO] Conditions referencing encounters: ${encounterRefs.length}`);
+        logger.info('Conditions referencing encounters', { count: encounterRefs.length });
         if (encounterRefs.length === 0) {
-            console.log('[WARN] No Condition.encounter references present. Either the data lacks links or include is unsupported.');
+            logger.warn('No Condition.encounter references present. Either the data lacks links or include is unsupported.');
         }
 
-        // Fetch each referenced Encounter if we haven't harvested any (or to fill gaps)
-        for (const ref of encounterRefs) {
+        // Resolve referenced Encounters the _include did not bring back (fills gaps)
+        const pending = encounterRefs.filter(ref => {
             const encId = ref.split('/')[1];
-            if (!encId) continue;
-            if (encounters.has(encId)) continue; // you already have this from _include
-
-            try {
-                const enc = await axios.get(`${fhirBase}/Encounter/${encId}`, {
-                    headers,
-                    timeout: 20000,
-                }).then(r => r.data);
-
-                if (enc?.resourceType === 'Encounter' && enc.id) {
-                    encounters.set(enc.id, enc);
-                    console.log(`[INFO] Pulled Encounter/${enc.id} via direct GET (fallback).`);
-                } else {
-                    console.log(`[WARN] GET ${ref} returned non-Encounter or missing id.`);
-                }
-            } catch (e) {
-                console.log(`[ERROR] Failed to fetch ${ref}:`, e.response?.status, e.response?.data || e.message);
-            }
+            return encId && !encounters.has(encId); // you already have this from _include
+        });
+        if (pending.length) {
+            logger.info('Resolving Encounter references not returned by _include', { count: pending.length });
+            await resolve(pending);
         }
 
-        console.log(`[INFO] Total Encounters collected (includes + fallback): ${encounters.size}`);
+        logger.info('Encounters collected (includes + fallback)', { count: encounters.size });
     }
 
-  // Helper to harvest included Encounters from a bundle
-  const harvestEncounters = b => {
-    (b.entry || []).forEach(e => {
-      const res = e.resource;
-      if (res?.resourceType === 'Encounter' && res.id) {
-        encounters.set(res.id, res);
-      }
-    });
-  };
-
-  harvestEncounters(bundle);
-
   // 2) Follow pagination using server-provided next link (usually safe, contains _getpages)
-  let next = (bundle.link || []).find(l => l.relation === 'next')?.url || null;
+  //    Later pages need the same gap filling as the first one.
+  const laterRefs = new Set();
+  let next = nextPageUrl(bundle, fhirBase);
   while (next) {
-    const b = await axios.get(next, { headers, timeout: 30000 }).then(r => r.data);
+    const b = await http.get(next, { headers, token, timeout: timeouts.search }).then(r => r.data);
     harvestEncounters(b);
-    next = (b.link || []).find(l => l.relation === 'next')?.url || null;
+    for (const entry of b.entry || []) {
+      const ref = entry.resource?.resourceType === 'Condition' ? entry.resource.encounter?.reference : null;
+      if (ref?.startsWith('Encounter/')) laterRefs.add(ref);
+    }
+    next = nextPageUrl(b, fhirBase);
+  }
+  const laterPending = [...laterRefs].filter(ref => !encounters.has(ref.split('/')[1]));
+  if (laterPending.length) {
+    logger.info('Resolving Encounter references not returned by _include (later pages)', { count: laterPending.length });
+    await resolve(laterPending);
   }
 
   // 3) Fallback: if no Encounters were included, fetch via Condition.encounter.reference
@@ -139,42 +155,32 @@ export async function fetchEncountersByConditionCodesPost({
     if (codeParam) fallbackForm.append('code', codeParam);
     if (start) fallbackForm.append(dateField, `ge${start}`);
     if (end) fallbackForm.append(dateField, `le${end}`);
+    if (patientRef) fallbackForm.append('patient', patientRef);
     fallbackForm.append('_count', String(count));
 
-    let b = await axios
-      .post(`${fhirBase}/Condition/_search`, fallbackForm.toString(), { headers, timeout: 30000 })
+    let b = await http
+      .post(`${fhirBase}/Condition/_search`, fallbackForm.toString(), { headers, token, timeout: timeouts.search, idempotent: true })
       .then(r => r.data);
 
-    const fetchEncounterByRef = async ref => {
-      // ref like "Encounter/123"
-      if (!ref?.startsWith('Encounter/')) return;
-      const id = ref.split('/')[1];
-      if (!id || encounters.has(id)) return;
-      const enc = await axios
-        .get(`${fhirBase}/Encounter/${id}`, { headers, timeout: 20000 })
-        .then(r => r.data)
-        .catch(() => null);
-      if (enc?.resourceType === 'Encounter' && enc.id) encounters.set(enc.id, enc);
-    };
-
-    const processBundleConditions = async bundlePage => {
+    // Collect refs like "Encounter/123" across all pages, then resolve them in batches
+    const refs = new Set();
+    const collectConditionRefs = bundlePage => {
       for (const entry of bundlePage.entry || []) {
-        const res = entry.resource;
-        if (res?.resourceType === 'Condition') {
-          const encRef = res?.encounter?.reference;
-          await fetchEncounterByRef(encRef);
-        }
+        const ref = entry.resource?.resourceType === 'Condition' ? entry.resource.encounter?.reference : null;
+        if (ref?.startsWith('Encounter/')) refs.add(ref);
       }
     };
 
-    await processBundleConditions(b);
+    collectConditionRefs(b);
 
-    let next2 = (b.link || []).find(l => l.relation === 'next')?.url || null;
+    let next2 = nextPageUrl(b, fhirBase);
     while (next2) {
-      b = await axios.get(next2, { headers, timeout: 30000 }).then(r => r.data);
-      await processBundleConditions(b);
-      next2 = (b.link || []).find(l => l.relation === 'next')?.url || null;
+      b = await http.get(next2, { headers, token, timeout: timeouts.search }).then(r => r.data);
+      collectConditionRefs(b);
+      next2 = nextPageUrl(b, fhirBase);
     }
+
+    await resolve(refs);
   }
 
   return Array.from(encounters.values());
@@ -0,0 +1,162 @@
+// utils/fhirServer.js
+import { http, timeouts } from './httpClient.js';
+
+/**
+ * What a FHIR server can do, and how to search it: the CapabilityStatement (/metadata),
+ * named quirk profiles for servers whose behaviour differs from what they advertise, and
+ * paging links. Precedence when planning: explicit settings > quirk profile >
+ * CapabilityStatement > FHIR R4 defaults.
+ */
+
+// Date search parameters R4 defines, in order of preference.
+export const R4_DATE_PARAMS = {
+  Encounter: ['date', '_lastUpdated'],
+  Condition: ['recorded-date', 'onset-date', 'abatement-date', '_lastUpdated']
+};
+
+/**
+ * Known server behaviour, as defaults for FHIR_INCLUDE / FHIR_POST_SEARCH / FHIR_BATCH_SIZE /
+ * FHIR_PAGE_SIZE. These are starting points from public vendor documentation; a site's
+ * configuration can differ, so check the CapabilityStatement and a dry run.
+ *
+ *   include               - _include=Condition:encounter is honoured
+ *   postSearch            - POST Condition/_search is accepted
+ *   batch                 - batch Bundles of reads are accepted
+ *   pageSize              - _count to ask for
+ *   conditionNeedsPatient - Condition searches must name a patient (no population-wide code search)
+ */
+export const SERVER_PROFILES = {
+  // The CapabilityStatement, with R4 defaults for what it leaves out.
+  auto: {},
+  // HAPI FHIR and servers built on it: what /metadata lists works.
+  hapi: { include: true, postSearch: true, batch: true },
+  // Epic: Condition searches are per patient, without _include; no batch reads.
+  epic: { include: false, postSearch: false, batch: false, conditionNeedsPatient: true },
+  // Oracle Health (Cerner) Millennium: Condition searches are per patient, without _include; no batch reads.
+  cerner: { include: false, postSearch: false, batch: false, conditionNeedsPatient: true },
+  // Anything that advertises more than it does: plain GET searches and single reads only.
+  minimal: { include: false, postSearch: false, batch: false }
+};
+
+/** GET /metadata; throws on HTTP errors or when the answer is not a CapabilityStatement. */
+export async function readCapabilityStatement({ fhirBase, token }) {
+  const cs = await http
+    .get(`${fhirBase}/metadata`, { headers: { Accept: 'application/fhir+json' }, token, timeout: timeouts.read })
+    .then(r => r.data);
+  if (cs?.resourceType !== 'CapabilityStatement') {
+    throw new Error(`${fhirBase}/metadata did not return a CapabilityStatement (got ${cs?.resourceType ?? typeof cs})`);
+  }
+  return cs;
+}
+
+/** The server-mode `rest` entry (or the first one). */
+export function serverRest(cs) {
+  return (cs?.rest || []).find(r => r.mode === 'server') || cs?.rest?.[0];
+}
+
+/**
+ * The parts of a CapabilityStatement the searches care about. Lists a server leaves out
+ * are null ("not stated"), not empty.
+ *
+ * @returns {{ fhirVersion: string|null, software: string|null, interactions: string[]|null,
+ *            resources: Object<string, { interactions: string[]|null, searchParams: string[]|null, searchIncludes: string[]|null }> }}
+ */
+export function summarizeCapabilities(cs) {
+  const rest = serverRest(cs);
+  const codes = list => (list ? list.map(i => i.code) : null);
+  const resources = {};
+  for (const r of rest?.resource || []) {
+    resources[r.type] = {
+      interactions: codes(r.interaction),
+      searchParams: r.searchParam ? r.searchParam.map(p => p.name) : null,
+      searchIncludes: r.searchInclude ?? null
+    };
+  }
+  return {
+    fhirVersion: cs?.fhirVersion ?? null,
+    software: cs?.software?.name ? [cs.software.name, cs.software.version].filter(Boolean).join(' ') : null,
+    interactions: codes(rest?.interaction),
+    resources
+  };
+}
+
+const setting = value => (value === 'on' ? true : value === 'off' ? false : undefined);
+
+/**
+ * Decide how to search one server.
+ *
+ * @param {object} opts
+ * @param {object|null} opts.capabilities  - summarizeCapabilities() result, or null when /metadata was not read
+ * @param {string} [opts.profile]          - Name in SERVER_PROFILES (default "auto")
+ * @param {string} [opts.include]          - "auto" | "on" | "off" (FHIR_INCLUDE)
+ * @param {string} [opts.postSearch]       - "auto" | "on" | "off" (FHIR_POST_SEARCH)
+ * @param {number} [opts.batchSize]        - FHIR_BATCH_SIZE; 0 turns batch off whatever the server says
+ * @param {number} [opts.pageSize]         - FHIR_PAGE_SIZE; 0 = profile, else 100
+ * @returns {{ profile: string, include: boolean, postSearch: boolean, batchSize: number, pageSize: number,
+ *            conditionNeedsPatient: boolean, searchParams: Object<string, string[]|null>, notes: string[] }}
+ */
+export function planSearches({ capabilities, profile = 'auto', include = 'auto', postSearch = 'auto', batchSize = 50, pageSize = 0 }) {
+  const quirks = SERVER_PROFILES[profile];
+  if (!quirks) throw new Error(`Unknown server profile "${profile}" (expected ${Object.keys(SERVER_PROFILES).join(' | ')})`);
+  const notes = [];
+  const condition = capabilities?.resources?.Condition;
+
+  let includeOk = setting(include) ?? quirks.include;
+  if (includeOk === undefined) {
+    const listed = condition?.searchIncludes;
+    includeOk = listed?.length ? listed.some(i => i === '*' || i === 'Condition:encounter') : true;
+    if (!includeOk) notes.push('Condition:encounter is not in searchInclude; Encounters are read by reference');
+  }
+
+  // R4 servers SHALL accept POST _search, and a CapabilityStatement has no way to say otherwise;
+  // servers that refuse it are caught at run time and searched with GET instead.
+  const postOk = setting(postSearch) ?? quirks.postSearch ?? true;
+
+  let batchOk = batchSize > 0 && (quirks.batch ?? true);
+  if (batchOk && quirks.batch === undefined && capabilities?.interactions && !capabilities.interactions.includes('batch')) {
+    batchOk = false;
+    notes.push('batch is not a listed interaction; references are read one by one');
+  }
+
+  const version = capabilities?.fhirVersion;
+  if (version && !version.startsWith('4.0')) notes.push(`the server reports FHIR ${version}; these searches are written for R4 (4.0.x)`);
+
+  return {
+    profile,
+    include: includeOk,
+    postSearch: postOk,
+    batchSize: batchOk ? batchSize : 0,
+    pageSize: pageSize || quirks.pageSize || 100,
+    conditionNeedsPatient: Boolean(quirks.conditionNeedsPatient),
+    searchParams: {
+      Encounter: capabilities?.resources?.Encounter?.searchParams ?? null,
+      Condition: condition?.searchParams ?? null
+    },
+    notes
+  };
+}
+
+/**
+ * The date parameter to search `resourceType` with: `wanted` when the server (or, without a
+ * listed set, R4) has it for that resource, else the first supported R4 date parameter.
+ * `_lastUpdated` is a common parameter, so servers often leave it out of their lists.
+ *
+ * @returns {{ param: string, note?: string }}
+ */
+export function dateParamFor(plan, resourceType, wanted) {
+  const listed = plan.searchParams?.[resourceType];
+  const supported = p => (listed ? listed.includes(p) || p === '_lastUpdated' : R4_DATE_PARAMS[resourceType].includes(p));
+  if (supported(wanted)) return { param: wanted };
+  const param = R4_DATE_PARAMS[resourceType].find(supported) ?? '_lastUpdated';
+  return { param, note: `${wanted} is not ${listed ? 'a listed' : 'an R4'} ${resourceType} search parameter; using ${param}` };
+}
+
+/**
+ * The next page of a searchset Bundle as an absolute URL, or null. Relative links
+ * ("Condition?_getpages=…", "/fhir/Condition?…") resolve against the base.
+ */
+export function nextPageUrl(bundle, fhirBase) {
+  const url = (bundle?.link || []).find(l => l.relation === 'next')?.url;
+  if (!url) return null;
+  return new URL(url, `${fhirBase.replace(/\/+$/, '')}/`).toString();
+}
@@ -0,0 +1,169 @@
+// utils/httpClient.js
+import axios from 'axios';
+import { logger } from './logger.js';
+
+/**
+ * Shared axios instance for every FHIR / eCRNow call:
+ *  - retries transient failures with exponential backoff + full jitter
+ *  - honours Retry-After (seconds or HTTP-date) on 429/503
+ *  - caps requests per second per host
+ *  - timeouts tuned in one place (see `timeouts`)
+ *
+ * Non-idempotent requests (POST/PATCH) are only retried on 429/503, where the server
+ * tells us it did not process the request. Pass `idempotent: true` in the request
+ * config for POSTs that are safe to repeat (searches, client-secret token requests), or
+ * `retry: false` for requests that must never be resent as they are (a token request
+ * carrying a single-use client assertion; see retryDelayMs).
+ *
+ * Pass `token` in the request config (a string, or a manager from utils/tokenManager.js)
+ * to send it as a Bearer token. With a manager, a 401 invalidates the cached token and
+ * the request is retried once with a fresh one.
+ */
+
+const settings = {
+  maxRetries: 3,
+  retryBaseMs: 500,
+  retryMaxMs: 30000,
+  retryStatuses: [429, 500, 502, 503, 504],
+  maxRequestsPerSecond: 10 // per host; 0 disables the limiter
+};
+
+/** Per-kind request timeouts (ms). Mutated in place by configureHttp, so import and read at call time. */
+export const timeouts = {
+  token: 25000,
+  search: 30000,
+  read: 20000,
+  submit: 60000
+};
+
+export function configureHttp({ timeouts: t, ...rest } = {}) {
+  for (const [k, v] of Object.entries(rest)) {
+    if (v !== undefined && k in settings) settings[k] = v;
+  }
+  for (const [k, v] of Object.entries(t || {})) {
+    if (v !== undefined && k in timeouts) timeouts[k] = v;
+  }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ---------- per-host rate limit ----------
+const nextSlot = new Map(); // host -> earliest time (ms) the next request may start
+
+function hostOf(config) {
+  try {
+    return new URL(config.url, config.baseURL).host;
+  } catch {
+    return '';
+  }
+}
+
+async function acquireSlot(host) {
+  if (!settings.maxRequestsPerSecond) return;
+  const spacing = 1000 / settings.maxRequestsPerSecond;
+  const now = Date.now();
+  const at = Math.max(now, nextSlot.get(host) || 0);
+  nextSlot.set(host, at + spacing);
+  if (at > now) await sleep(at - now);
+}
+
+/** Hold back every request to `host` until `ms` from now (used after Retry-After). */
+function pauseHost(host, ms) {
+  nextSlot.set(host, Math.max(nextSlot.get(host) || 0, Date.now() + ms));
+}
+
+// ---------- retry policy ----------
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/** Retry-After (seconds or HTTP-date) in ms, or null when absent or unparsable. */
+export function retryAfterMs(headers) {
+  const v = headers?.['retry-after'];
+  if (!v) return null;
+  const secs = Number(v);
+  if (!Number.isNaN(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function shouldRetry(error, config) {
+  if (config.retry === false) return false;
+  const status = error.response?.status;
+  const idempotent = config.idempotent ?? IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+  if (status) {
+    if (!settings.retryStatuses.includes(status)) return false;
+    return idempotent || status === 429 || status === 503;
+  }
+  return idempotent && TRANSIENT_CODES.includes(error.code);
+}
+
+function backoffMs(attempt) {
+  const cap = Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+// Retry-After when the server sent one (and hold back the host for it), else backoff.
+function waitBeforeRetry(error, attempt) {
+  const hinted = retryAfterMs(error.response?.headers);
+  if (hinted == null) return backoffMs(attempt);
+  const wait = Math.min(hinted, settings.retryMaxMs);
+  if (error.config) pauseHost(hostOf(error.config), wait);
+  return wait;
+}
+
+/**
+ * How long to wait before repeating a failed operation from scratch, or null when it
+ * should not be repeated (not transient, or `attempt` retries already made). For calls
+ * that must build a new request on every attempt, which the interceptor cannot do.
+ *
+ * @param {Error} error
+ * @param {number} attempt - Retries already made (0 after the first failure)
+ * @returns {number|null}
+ */
+export function retryDelayMs(error, attempt) {
+  if (attempt >= settings.maxRetries || !shouldRetry(error, { idempotent: true })) return null;
+  return waitBeforeRetry(error, attempt);
+}
+
+// ---------- instance ----------
+export const http = axios.create();
+
+const isTokenManager = t => t && typeof t.getToken === 'function';
+
+http.interceptors.request.use(async config => {
+  if (config.token) {
+    const bearer = isTokenManager(config.token) ? await config.token.getToken() : config.token;
+    config.headers.set('Authorization', `Bearer ${bearer}`);
+  }
+  await acquireSlot(hostOf(config));
+  return config;
+});
+
+http.interceptors.response.use(undefined, async error => {
+  const config = error.config;
+  if (config && error.response?.status === 401 && isTokenManager(config.token) && !config.__tokenRetried) {
+    config.__tokenRetried = true;
+    config.token.invalidate();
+    logger.warn(`401; retrying with a fresh ${config.token.name} token`, { method: String(config.method).toUpperCase(), url: config.url });
+    return http.request(config);
+  }
+  if (!config || !shouldRetry(error, config)) throw error;
+
+  const attempt = config.__retryCount || 0;
+  if (attempt >= settings.maxRetries) throw error;
+  config.__retryCount = attempt + 1;
+
+  const wait = waitBeforeRetry(error, attempt);
+
+  const what = error.response?.status || error.code;
+  logger.warn('Transient HTTP failure; retrying', {
+    method: String(config.method).toUpperCase(),
+    url: config.url,
+    status: what,
+    attempt: attempt + 1,
+    maxRetries: settings.maxRetries,
+    waitMs: wait
+  });
+  await sleep(wait);
+  return http.request(config);
+});
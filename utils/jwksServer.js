@@ -0,0 +1,74 @@
+// utils/jwksServer.js
+import http from 'http';
+import { readJwks } from './keys.js';
+import { logger } from './logger.js';
+
+// Members of a public JWK (RFC 7517/7518); anything else in jwks.json is not published.
+const PUBLIC_MEMBERS = ['kty', 'kid', 'use', 'alg', 'key_ops', 'n', 'e', 'crv', 'x', 'y'];
+
+/** Public keys of one or more key stores, first occurrence of a kid wins. */
+export function publicJwks(keysDirs) {
+  const seen = new Set();
+  const keys = [];
+  for (const dir of keysDirs) {
+    for (const k of readJwks(dir).keys) {
+      if (seen.has(k.kid)) continue;
+      seen.add(k.kid);
+      keys.push(Object.fromEntries(PUBLIC_MEMBERS.filter(m => k[m] !== undefined).map(m => [m, k[m]])));
+    }
+  }
+  return { keys };
+}
+
+/**
+ * Publish the key stores' public keys at `path` for EHRs that fetch a registered JWKS URL
+ * (or the jku header of client assertions). jwks.json is read on every request, so keys
+ * added or retired by keygen show up without a restart.
+ *
+ * @param {object} opts
+ * @param {string[]} opts.keysDirs
+ * @param {number} opts.port
+ * @param {string} opts.host
+ * @param {string} opts.path
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export function startJwksServer({ keysDirs, port, host, path }) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found\n');
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain' }).end('Method not allowed\n');
+      return;
+    }
+    let body;
+    try {
+      body = JSON.stringify(publicJwks(keysDirs), null, 2) + '\n';
+    } catch (e) {
+      logger.error('JWKS unavailable', { error: e.message });
+      res.writeHead(500, { 'Content-Type': 'text/plain' }).end('JWKS unavailable\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+    logger.debug('JWKS served', { remote: req.socket.remoteAddress });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: bound } = server.address();
+      const url = `http://${host.includes(':') ? `[${host}]` : host}:${bound}${path}`;
+      logger.info('JWKS server listening', { url, keysDirs });
+      resolve({
+        url,
+        close: () => new Promise(done => {
+          server.close(() => done());
+          server.closeAllConnections?.();
+        })
+      });
+    });
+  });
+}
@@ -0,0 +1,87 @@
+// utils/ledger.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Append-only JSON-lines record of every submission made to eCR Now.
+ * One line per attempt; the latest successful attempt for an encounter wins.
+ *
+ * Entry shape:
+ *   { encounterId, patientId, fhirBase, tenant, flowMode, requestId, timestamp, status, ok, response }
+ */
+
+function ledgerKey({ fhirBase, flowMode, encounterId }) {
+  return `${fhirBase}|${flowMode}|${encounterId}`;
+}
+
+function readEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null; // tolerate a truncated last line from an interrupted run
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Open (or create) the ledger at `${outputDir}/${fileName}`.
+ *
+ * @param {object} opts
+ * @param {string} opts.outputDir           - Directory for the ledger file (created if missing)
+ * @param {string} [opts.fileName]          - Ledger file name (default "submissions.jsonl")
+ * @returns {{ file: string, entries: () => Array, hasSucceeded: Function, failures: Function, record: Function }}
+ */
+export function openLedger({ outputDir, fileName = 'submissions.jsonl' }) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const file = path.join(outputDir, fileName);
+
+  const succeeded = new Set();
+  const failed = new Map(); // key -> failed attempts
+  const countFailure = e => failed.set(ledgerKey(e), (failed.get(ledgerKey(e)) || 0) + 1);
+  for (const e of readEntries(file)) {
+    if (e.ok) succeeded.add(ledgerKey(e));
+    else countFailure(e);
+  }
+
+  return {
+    file,
+
+    entries: () => readEntries(file),
+
+    /** True if this encounter was already submitted successfully for this server + flow. */
+    hasSucceeded: ({ fhirBase, flowMode, encounterId }) =>
+      succeeded.has(ledgerKey({ fhirBase, flowMode, encounterId })),
+
+    /** How many submission attempts for this encounter (server + flow) have failed. */
+    failures: ({ fhirBase, flowMode, encounterId }) =>
+      failed.get(ledgerKey({ fhirBase, flowMode, encounterId })) || 0,
+
+    /** Append one submission attempt. `status` is the HTTP status (or null if none was received). */
+    record({ encounterId, patientId, fhirBase, tenant, flowMode, requestId, status, response }) {
+      const ok = typeof status === 'number' && status >= 200 && status < 300;
+      const entry = {
+        encounterId,
+        patientId: patientId ?? null,
+        fhirBase,
+        tenant: tenant ?? null,
+        flowMode,
+        requestId: requestId ?? null,
+        timestamp: new Date().toISOString(),
+        status: status ?? null,
+        ok,
+        response: response ?? null
+      };
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      if (ok) succeeded.add(ledgerKey(entry));
+      else countFailure(entry);
+      return entry;
+    }
+  };
+}
@@ -0,0 +1,127 @@
+// utils/logger.js
+
+/**
+ * Levelled logger with JSON-lines or human-readable output.
+ *
+ *   logger.info('launchPatient OK', { encounterId, status });
+ *   const log = logger.child({ requestId, correlationId });
+ *
+ * Every entry carries the run-wide context (e.g. runId, see setLogContext) plus the
+ * fields bound with child(). Fields are redacted before they are written: credentials
+ * (tokens, secrets, assertions, Authorization headers) and Patient demographics never
+ * reach the log. Bearer tokens, JWTs and the configured secret values (see
+ * registerSecrets) inside messages are masked as well.
+ *
+ * LOG_FORMAT "json" writes one JSON object per line; "text" is for terminals.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = {
+  level: 'info',
+  format: process.stdout.isTTY ? 'text' : 'json',
+  maxFieldLength: 2000, // long strings (response bodies) are truncated
+  allToStderr: false // keeps stdout clean for command output (see scripts/cli.js)
+};
+
+const context = {};
+
+export function configureLogger({ level, format, allToStderr } = {}) {
+  if (allToStderr !== undefined) {
+    settings.allToStderr = allToStderr;
+    if (format === undefined) settings.format = process.stderr.isTTY ? 'text' : 'json';
+  }
+  if (level !== undefined) {
+    if (!(level in LEVELS)) throw new Error(`Unsupported LOG_LEVEL: ${level} (expected ${Object.keys(LEVELS).join(' | ')})`);
+    settings.level = level;
+  }
+  if (format !== undefined) {
+    if (!['json', 'text'].includes(format)) throw new Error(`Unsupported LOG_FORMAT: ${format} (expected json | text)`);
+    settings.format = format;
+  }
+}
+
+/** Merge run-wide fields into every later entry; pass `undefined` to drop a field. */
+export function setLogContext(fields) {
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) delete context[k];
+    else context[k] = v;
+  }
+}
+
+// ---------- redaction ----------
+const SECRET_KEYS = /(token|secret|password|passphrase|authorization|assertion|api[-_]?key|cookie|private[-_]?key)/i;
+const NOT_SECRET_SUFFIX = /_(url|path|file|ms|seconds)$/i; // e.g. TOKEN_URL, PRIVATE_KEY_PATH, HTTP_TIMEOUT_TOKEN_MS
+const PHI_KEYS = new Set(['name', 'birthDate', 'address', 'telecom', 'identifier', 'photo', 'contact', 'gender', 'deceasedDateTime']);
+const BEARER = /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/g;
+const JWT = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+// Configured secret values (client secrets, passphrases), longest first so none is half-masked.
+let secretValues = [];
+
+/** Mask these values wherever they appear in logged strings and error messages. */
+export function registerSecrets(values) {
+  const all = new Set([...secretValues, ...values.filter(v => typeof v === 'string' && v.length >= 4)]);
+  secretValues = [...all].sort((a, b) => b.length - a.length);
+}
+
+export function redactString(s) {
+  let out = String(s).replace(BEARER, '$1 [REDACTED]').replace(JWT, '[REDACTED_JWT]');
+  for (const secret of secretValues) out = out.split(secret).join('[REDACTED]');
+  return out;
+}
+
+export function redact(value, depth = 0) {
+  if (value == null) return value;
+  if (typeof value === 'string') {
+    const s = redactString(value);
+    return s.length > settings.maxFieldLength ? `${s.slice(0, settings.maxFieldLength)}…[truncated]` : s;
+  }
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) return redact({ message: value.message, code: value.code }, depth);
+  if (depth > 6) return '[…]';
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (SECRET_KEYS.test(k) && !NOT_SECRET_SUFFIX.test(k)) out[k] = '[REDACTED]';
+    else if (PHI_KEYS.has(k)) out[k] = '[PHI]';
+    else out[k] = redact(v, depth + 1);
+  }
+  return out;
+}
+
+// ---------- output ----------
+function formatText(level, msg, fields) {
+  const time = new Date().toISOString().slice(11, 19);
+  const extra = Object.entries(fields)
+    .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`)
+    .join(' ');
+  const tenant = context.tenant ? `[${context.tenant}] ` : ''; // runId is left to the JSON format
+  return `${time} ${level.toUpperCase().padEnd(5)} ${tenant}${msg}${extra ? `  ${extra}` : ''}`;
+}
+
+function write(level, msg, bound, fields) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const stream = settings.allToStderr || LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  const data = redact({ ...bound, ...fields });
+  const message = redactString(msg);
+
+  if (settings.format === 'json') {
+    stream.write(JSON.stringify({ ts: new Date().toISOString(), level, ...redact(context), msg: message, ...data }) + '\n');
+  } else {
+    stream.write(formatText(level, message, data) + '\n');
+  }
+}
+
+function makeLogger(bound) {
+  return {
+    debug: (msg, fields = {}) => write('debug', msg, bound, fields),
+    info: (msg, fields = {}) => write('info', msg, bound, fields),
+    warn: (msg, fields = {}) => write('warn', msg, bound, fields),
+    error: (msg, fields = {}) => write('error', msg, bound, fields),
+    child: fields => makeLogger({ ...bound, ...fields })
+  };
+}
+
+export const logger = makeLogger({});
@@ -0,0 +1,201 @@
+// utils/notificationValidation.js
+
+/**
+ * Local structural checks for what the notify flow sends: the Subscriptions Backport
+ * notification Bundle (R4, MedMorph encounter-end, full-resource) and the Encounter in it.
+ * Not a full profile validator: it checks the things eCRNow relies on, so that a broken
+ * Bundle fails here with a readable message instead of as an opaque 400.
+ *
+ * Issues are { severity: 'error' | 'warning', path, message }; `path` is FHIRPath-like,
+ * e.g. "Bundle.entry[1].resource.subject".
+ */
+
+const BACKPORT = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/';
+export const NOTIFICATION_PROFILE = `${BACKPORT}backport-subscription-notification`;
+export const STATUS_PROFILE = `${BACKPORT}backport-subscriptionstatus`;
+
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+const ABSOLUTE_URL = /^https?:\/\/[^/]+/;
+const URN = /^urn:(uuid:[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}|oid:[0-2](\.(0|[1-9][0-9]*))+)$/;
+const COUNT = /^(0|[1-9][0-9]*)$/;
+
+const ENCOUNTER_STATUSES = ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'];
+
+// SubscriptionStatus parameters: cardinality and allowed value[x]. topic is optional in the
+// Backport IG but eCRNow matches notifications to its Subscription by it.
+const STATUS_PARAMETERS = {
+  subscription: { min: 1, max: 1, value: ['valueReference'] },
+  topic: { min: 1, max: 1, value: ['valueCanonical', 'valueUri'] },
+  status: { min: 1, max: 1, value: ['valueCode'], codes: ['requested', 'active', 'error', 'off'] },
+  type: { min: 1, max: 1, value: ['valueCode'], codes: ['handshake', 'heartbeat', 'event-notification', 'query-status', 'query-event'] },
+  'events-since-subscription-start': { min: 0, max: 1, value: ['valueString', 'valueUnsignedInt', 'valueInteger64'], count: true },
+  'events-in-notification': { min: 0, max: 1, value: ['valueUnsignedInt', 'valueString'], count: true },
+  'notification-event': { min: 0, max: Infinity, part: true },
+  error: { min: 0, max: Infinity, value: ['valueCodeableConcept'] }
+};
+
+const EVENT_PARTS = {
+  'event-number': { min: 1, max: 1, value: ['valueString', 'valueUnsignedInt', 'valueInteger64'], count: true },
+  timestamp: { min: 0, max: 1, value: ['valueInstant'] },
+  focus: { min: 0, max: 1, value: ['valueReference'] },
+  'additional-context': { min: 0, max: Infinity, value: ['valueReference'] }
+};
+
+/** "Bundle.id: required; Bundle.entry[1].fullUrl: …" — for logs and ledger entries. */
+export function formatIssues(issues) {
+  return issues.map(i => `${i.path}: ${i.message}`).join('; ');
+}
+
+/**
+ * Check a notification Bundle, including every Encounter it carries.
+ * @returns {Array<{ severity: string, path: string, message: string }>}
+ */
+export function validateNotificationBundle(bundle) {
+  const issues = [];
+  const error = (path, message) => issues.push({ severity: 'error', path, message });
+  const warning = (path, message) => issues.push({ severity: 'warning', path, message });
+
+  if (bundle?.resourceType !== 'Bundle') {
+    error('Bundle.resourceType', `must be "Bundle", got ${JSON.stringify(bundle?.resourceType)}`);
+    return issues;
+  }
+  if (!bundle.id) error('Bundle.id', 'required');
+  else if (!FHIR_ID.test(bundle.id)) error('Bundle.id', `"${bundle.id}" is not a valid FHIR id`);
+  if (!bundle.meta?.profile?.includes(NOTIFICATION_PROFILE)) error('Bundle.meta.profile', `must include ${NOTIFICATION_PROFILE}`);
+  if (bundle.type !== 'history') error('Bundle.type', `must be "history" for an R4 notification, got ${JSON.stringify(bundle.type)}`);
+  if (!bundle.timestamp) error('Bundle.timestamp', 'required');
+  else if (Number.isNaN(Date.parse(bundle.timestamp))) error('Bundle.timestamp', `"${bundle.timestamp}" is not an instant`);
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  if (!entries.length) {
+    error('Bundle.entry', 'at least one entry (the SubscriptionStatus) is required');
+    return issues;
+  }
+
+  // fullUrl rules (absolute, unique, agreeing with the resource id) and history entry request/response.
+  const fullUrls = new Map();
+  entries.forEach((entry, i) => {
+    const path = `Bundle.entry[${i}]`;
+    const res = entry.resource;
+    if (!res) error(`${path}.resource`, 'required');
+    if (!entry.request?.method || !entry.request?.url) error(`${path}.request`, 'method and url are required in a history Bundle');
+    if (!entry.response?.status) error(`${path}.response.status`, 'required in a history Bundle');
+
+    const url = entry.fullUrl;
+    if (!url) {
+      error(`${path}.fullUrl`, 'required');
+      return;
+    }
+    if (fullUrls.has(url)) error(`${path}.fullUrl`, `"${url}" is also used by entry[${fullUrls.get(url)}]`);
+    fullUrls.set(url, i);
+    if (ABSOLUTE_URL.test(url)) {
+      if (res?.id && !url.endsWith(`/${res.resourceType}/${res.id}`)) {
+        error(`${path}.fullUrl`, `"${url}" does not end with ${res.resourceType}/${res.id}`);
+      }
+    } else if (!URN.test(url)) {
+      error(`${path}.fullUrl`, `"${url}" must be absolute (http(s) URL, urn:uuid or urn:oid); enable NOTIFICATION_ABSOLUTE_URLS`);
+    }
+  });
+
+  // The first entry is the SubscriptionStatus.
+  const status = entries[0].resource;
+  const statusPath = 'Bundle.entry[0].resource';
+  if (status?.resourceType !== 'Parameters') {
+    error(`${statusPath}.resourceType`, `the first entry must be the SubscriptionStatus Parameters, got ${JSON.stringify(status?.resourceType)}`);
+    return issues;
+  }
+  if (!status.meta?.profile?.includes(STATUS_PROFILE)) warning(`${statusPath}.meta.profile`, `should include ${STATUS_PROFILE}`);
+  checkParameters(status.parameter || [], STATUS_PARAMETERS, `${statusPath}.parameter`, error);
+
+  const param = name => (status.parameter || []).find(p => p.name === name);
+  const subscription = param('subscription')?.valueReference?.reference;
+  if (subscription && !ABSOLUTE_URL.test(subscription)) warning(`${statusPath}.parameter[subscription]`, `"${subscription}" should be the absolute Subscription URL`);
+
+  // event-notification: the focus resources travel in the Bundle (full-resource) and must resolve.
+  const type = param('type')?.valueCode;
+  const focusEntries = entries.slice(1);
+  if (type === 'event-notification') {
+    if (!focusEntries.length) error('Bundle.entry', 'an event-notification must carry the focus resource (full-resource content)');
+    const counted = param('events-in-notification');
+    const declared = Number(counted?.valueUnsignedInt ?? counted?.valueString);
+    if (counted && declared !== focusEntries.length) {
+      error(`${statusPath}.parameter[events-in-notification]`, `says ${declared} but the Bundle carries ${focusEntries.length} event resource(s)`);
+    }
+    (status.parameter || []).filter(p => p.name === 'notification-event').forEach((event, n) => {
+      const focus = (event.part || []).find(p => p.name === 'focus')?.valueReference?.reference;
+      if (focus && resolveInBundle(focus, entries) == null) {
+        error(`${statusPath}.parameter[notification-event][${n}].focus`, `"${focus}" does not resolve to an entry in the Bundle`);
+      }
+    });
+  }
+
+  focusEntries.forEach((entry, n) => {
+    if (entry.resource?.resourceType === 'Encounter') {
+      issues.push(...validateEncounter(entry.resource, `Bundle.entry[${n + 1}].resource`));
+    }
+  });
+  return issues;
+}
+
+/** Check one Encounter as eCRNow needs it. */
+export function validateEncounter(encounter, path = 'Encounter') {
+  const issues = [];
+  const error = (p, message) => issues.push({ severity: 'error', path: `${path}${p}`, message });
+
+  if (encounter?.resourceType !== 'Encounter') {
+    error('.resourceType', `must be "Encounter", got ${JSON.stringify(encounter?.resourceType)}`);
+    return issues;
+  }
+  if (!encounter.id) error('.id', 'required');
+  else if (!FHIR_ID.test(encounter.id)) error('.id', `"${encounter.id}" is not a valid FHIR id`);
+  if (!encounter.status) error('.status', 'required');
+  else if (!ENCOUNTER_STATUSES.includes(encounter.status)) error('.status', `"${encounter.status}" is not an Encounter status`);
+  if (!encounter.class?.code) error('.class', 'required (a Coding with a code)');
+
+  const subject = encounter.subject?.reference;
+  if (!subject) error('.subject', 'a Patient reference is required');
+  else if (!/(^|\/)Patient\/[A-Za-z0-9\-.]{1,64}$/.test(subject)) error('.subject', `"${subject}" is not a Patient reference`);
+
+  const { start, end } = encounter.period || {};
+  if (start && Number.isNaN(Date.parse(start))) error('.period.start', `"${start}" is not a dateTime`);
+  if (end && Number.isNaN(Date.parse(end))) error('.period.end', `"${end}" is not a dateTime`);
+  if (start && end && Date.parse(end) < Date.parse(start)) error('.period', `ends (${end}) before it starts (${start})`);
+  return issues;
+}
+
+// Cardinality, value[x] type, code and count checks for a Parameters.parameter list (or a part list).
+function checkParameters(params, spec, path, error) {
+  for (const [name, rule] of Object.entries(spec)) {
+    const found = params.filter(p => p.name === name);
+    if (found.length < rule.min) error(`${path}[${name}]`, 'required');
+    if (found.length > rule.max) error(`${path}[${name}]`, `at most ${rule.max} allowed, found ${found.length}`);
+    found.forEach(p => {
+      const where = `${path}[${name}]`;
+      if (rule.part) {
+        checkParameters(p.part || [], EVENT_PARTS, `${where}.part`, error);
+        return;
+      }
+      const key = rule.value.find(k => p[k] !== undefined);
+      if (!key) {
+        error(where, `needs ${rule.value.join(' or ')}`);
+        return;
+      }
+      if (rule.codes && !rule.codes.includes(p[key])) error(where, `"${p[key]}" is not one of ${rule.codes.join(', ')}`);
+      if (rule.count && !COUNT.test(String(p[key]))) error(where, `"${p[key]}" is not a non-negative integer`);
+      if (key === 'valueReference' && !p[key]?.reference) error(where, 'the reference is empty');
+    });
+  }
+  for (const p of params) {
+    if (!p.name) error(path, 'a parameter has no name');
+    else if (!spec[p.name]) error(`${path}[${p.name}]`, 'unknown parameter');
+  }
+}
+
+// Index of the entry a reference points to: the same fullUrl, or a relative "Type/id" that
+// matches the end of an absolute fullUrl.
+function resolveInBundle(reference, entries) {
+  const i = entries.findIndex(e => e.fullUrl === reference
+    || (!ABSOLUTE_URL.test(reference) && !reference.startsWith('urn:') && e.fullUrl?.endsWith(`/${reference}`))
+    || (e.resource && `${e.resource.resourceType}/${e.resource.id}` === reference));
+  return i >= 0 ? i : null;
+}
@@ -0,0 +1,57 @@
+// utils/pool.js
+import { logger } from './logger.js';
+
+/**
+ * Run `worker(item, index)` over `items` with at most `concurrency` in flight.
+ * Resolves to results in input order. A worker that throws rejects the whole pool,
+ * so workers that should not stop the batch must catch their own errors.
+ *
+ * Per-host request limits still apply: every HTTP call goes through utils/httpClient.js.
+ */
+export async function mapPool(items, concurrency, worker, { onDone } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  const size = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+
+  const run = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+      if (onDone) onDone(results[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: size }, run));
+  return results;
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m${String(s % 60).padStart(2, '0')}s`;
+  return `${Math.floor(m / 60)}h${String(m % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Progress reporter: call `tick()` once per finished item; logs done/total and an ETA
+ * at most every `everyMs` (and always for the last item).
+ */
+export function createProgress(label, total, { everyMs = 5000 } = {}) {
+  const started = Date.now();
+  let done = 0;
+  let lastLog = 0;
+
+  return {
+    tick() {
+      done++;
+      const now = Date.now();
+      if (done < total && now - lastLog < everyMs) return;
+      lastLog = now;
+      const elapsed = now - started;
+      const eta = done < total ? formatDuration((elapsed / done) * (total - done)) : '0s';
+      const pct = total ? Math.round((done / total) * 100) : 100;
+      logger.info(`${label} progress`, { done, total, percent: pct, elapsed: formatDuration(elapsed), eta });
+    }
+  };
+}
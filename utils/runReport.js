@@ -0,0 +1,81 @@
+// utils/runReport.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * End-of-run summary: counts per stage and failure reasons, built from the
+ * per-encounter results the flows return ({ encounterId, outcome, detail }).
+ *
+ * outcome: ok | failed | skipped (ledger / missing ids) | filtered (eligibility) | planned (dry run)
+ *
+ * Each tenant contributes { tenant, fhirBase, fetched, results, error, ecrStatus }; `error` is
+ * set when the tenant could not run at all (auth, search), `ecrStatus` (counts per eCRNow
+ * processing state) when TRACK_ECR_STATUS is on. Totals cover every tenant, and `tenants`
+ * breaks them down.
+ */
+function summarize(fetched, results) {
+  const count = outcome => results.filter(r => r.outcome === outcome).length;
+  const failures = results
+    .filter(r => r.outcome === 'failed')
+    .map(r => ({ encounterId: r.encounterId, reason: String(r.detail ?? 'unknown') }));
+
+  const failureReasons = {};
+  for (const f of failures) failureReasons[f.reason] = (failureReasons[f.reason] || 0) + 1;
+
+  const filterReasons = {};
+  for (const r of results.filter(x => x.outcome === 'filtered')) {
+    filterReasons[r.detail] = (filterReasons[r.detail] || 0) + 1;
+  }
+
+  return {
+    counts: {
+      fetched,
+      filtered: count('filtered'),
+      skipped: count('skipped'),
+      submitted: count('ok') + count('failed'),
+      succeeded: count('ok'),
+      failed: count('failed'),
+      planned: count('planned')
+    },
+    failureReasons,
+    filterReasons,
+    failures
+  };
+}
+
+export function buildRunSummary({ runId, flowMode, startedAt, dryRun = false, tenants }) {
+  const perTenant = tenants.map(t => ({ tenant: t.tenant, fhirBase: t.fhirBase, error: t.error, ecrStatus: t.ecrStatus, ...summarize(t.fetched, t.results) }));
+  const tracked = tenants.filter(t => t.ecrStatus);
+  const ecrStatus = tracked.length ? {} : undefined;
+  for (const t of tracked) {
+    for (const [state, n] of Object.entries(t.ecrStatus)) ecrStatus[state] = (ecrStatus[state] || 0) + n;
+  }
+  const total = summarize(
+    tenants.reduce((n, t) => n + t.fetched, 0),
+    tenants.flatMap(t => t.results)
+  );
+
+  return {
+    runId,
+    flowMode,
+    dryRun,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    counts: { ...total.counts, tenants: tenants.length, tenantsFailed: tenants.filter(t => t.error).length },
+    failureReasons: total.failureReasons,
+    filterReasons: total.filterReasons,
+    ecrStatus,
+    failures: perTenant.flatMap(t => t.failures.map(f => ({ tenant: t.tenant, ...f }))),
+    tenants: perTenant.map(({ failures, filterReasons, ...t }) => t)
+  };
+}
+
+/** Write the summary to `${outputDir}/runs/<startedAt>-<runId>.json`; returns the path. */
+export function writeRunSummary(outputDir, summary) {
+  const dir = path.join(outputDir, 'runs');
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = summary.startedAt.replace(/[:.]/g, '-');
+  const file = path.join(dir, `${stamp}-${summary.runId}.json`);
+  fs.writeFileSync(file, JSON.stringify(summary, null, 2) + '\n');
+  return file;
+}
@@ -0,0 +1,50 @@
+// utils/schedule.js
+import { logger } from './logger.js';
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const ALIASES = { '@hourly': '1h', '@daily': '1d' };
+
+/**
+ * Parse an interval such as "30s", "15m", "1h", "1d" (or "@hourly" / "@daily") into milliseconds.
+ */
+export function parseInterval(spec) {
+  const s = ALIASES[String(spec).trim()] || String(spec).trim();
+  const m = /^(\d+)\s*([smhd])$/i.exec(s);
+  if (!m || Number(m[1]) <= 0) {
+    throw new Error(`Invalid interval "${spec}" (expected e.g. 30s, 15m, 1h, 1d, @hourly, @daily)`);
+  }
+  return Number(m[1]) * UNITS[m[2].toLowerCase()];
+}
+
+/**
+ * Call `task` every `intervalMs` until SIGINT/SIGTERM. Runs never overlap: the next
+ * run is scheduled after the previous one settles. A failing run is reported and the
+ * loop carries on.
+ */
+export async function runEvery(intervalMs, task, { onError = e => logger.error('Scheduled run failed', { error: e }) } = {}) {
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    stopping = true;
+    if (wake) wake();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  while (!stopping) {
+    try {
+      await task();
+    } catch (e) {
+      onError(e);
+    }
+    if (stopping) break;
+    await new Promise(resolve => {
+      const t = setTimeout(resolve, intervalMs);
+      wake = () => {
+        clearTimeout(t);
+        resolve();
+      };
+    });
+    wake = null;
+  }
+}
@@ -1,24 +1,36 @@
 // utils/submitEncounter.js
-import axios from "axios";
+import { http, timeouts } from "./httpClient.js";
+
+export const ENCOUNTER_END_TOPIC = "http://hl7.org/fhir/us/medmorph/SubscriptionTopic/encounter-end";
 
 /**
  * Build a Backport Subscription Notification Bundle carrying one Encounter.
  * You can tweak subscription URL/topic via options.
+ * `fhirBase` makes the Encounter fullUrl absolute (`<fhirBase>/Encounter/<id>`); without it
+ * the fullUrl stays relative, which utils/notificationValidation.js reports as an error.
+ * `uniqueId` gives every Bundle a random id instead of "notification-full-resource".
  */
 export function buildNotificationBundle(encounter, {
   subscriptionUrl = "http://ecr.drajer.com/secure/fhir-r4/fhir/Subscription/encounter-end",
-  topicCanonical = "http://hl7.org/fhir/us/medmorph/SubscriptionTopic/encounter-end",
+  topicCanonical = ENCOUNTER_END_TOPIC,
   eventsSinceStart = 1,
-  eventsInNotification = 1
+  eventsInNotification = 1,
+  fhirBase,
+  uniqueId = false
 } = {}) {
   const nowIso = new Date().toISOString();
 
   // Stable URN for Parameters entry
   const paramsUrn = "urn:uuid:" + cryptoRandomUuid();
 
+  const encounterId = String(encounter.id || "unknown").replace(/^Encounter\//, "");
+  const encounterUrl = fhirBase
+    ? `${fhirBase.replace(/\/+$/, "")}/Encounter/${encounterId}`
+    : `Encounter/${encounterId}`;
+
   return {
     resourceType: "Bundle",
-    id: "notification-full-resource",
+    id: uniqueId ? cryptoRandomUuid() : "notification-full-resource",
     meta: {
       lastUpdated: nowIso,
       profile: [
@@ -45,18 +57,25 @@ export function buildNotificationBundle(encounter, {
             { name: "type",         valueCode: "event-notification" },
             { name: "status",       valueCode: "active" },
             { name: "events-since-subscription-start", valueUnsignedInt: Number(eventsSinceStart) },
-            { name: "events-in-notification",          valueUnsignedInt: Number(eventsInNotification) }
+            { name: "events-in-notification",          valueUnsignedInt: Number(eventsInNotification) },
+            {
+              name: "notification-event",
+              part: [
+                { name: "event-number", valueString: String(eventsSinceStart) },
+                { name: "timestamp",    valueInstant: nowIso },
+                { name: "focus",        valueReference: { reference: encounterUrl } }
+              ]
+            }
           ]
         },
         request: { method: "GET", url: `${subscriptionUrl}/$status` },
         response: { status: "200" }
       },
       {
-        // Use the Encounter's absolute or relative URL if you have one; relative is fine.
-        fullUrl: encounter.id?.startsWith("Encounter/")
-          ? encounter.id
-          : `Encounter/${encounter.id || "unknown"}`,
-        resource: encounter
+        fullUrl: encounterUrl,
+        resource: encounter,
+        request: { method: "PUT", url: `Encounter/${encounterId}` },
+        response: { status: "200" }
       }
     ]
   };
@@ -65,20 +84,29 @@ export function buildNotificationBundle(encounter, {
 /**
  * POST the notification bundle to receive-notification.
  * auth: { type: 'bearer'|'basic'|'none', token: '...' }
+ * For 'bearer', token may also be a token manager (refreshed / retried on 401).
+ * Pass `bundle` to send one already built (and validated); otherwise it is built from
+ * `encounter` and `bundleOptions`. `requestId` (default: a new UUID) is sent as X-Request-ID.
+ * Resolves to { status, data } so callers can record the HTTP status.
  */
-export async function submitEncounter({ url, encounter, auth, bundleOptions }) {
-  const bundle = buildNotificationBundle(encounter, bundleOptions);
-
+export async function submitEncounter({
+  url,
+  encounter,
+  auth,
+  bundleOptions,
+  bundle = buildNotificationBundle(encounter, bundleOptions),
+  requestId = cryptoRandomUuid()
+}) {
   const headers = {
     "Content-Type": "application/fhir+json",
-    "X-Request-ID": 1234,
+    "X-Request-ID": requestId,
     Accept: "application/fhir+json"
   };
-  if (auth?.type === "bearer") headers.Authorization = `Bearer ${auth.token}`;
   if (auth?.type === "basic")  headers.Authorization = auth.token;
+  const token = auth?.type === "bearer" ? auth.token : undefined;
 
-  const resp = await axios.post(url, bundle, { headers, timeout: 30000 });
-  return resp.data;
+  const resp = await http.post(url, bundle, { headers, token, timeout: timeouts.submit });
+  return { status: resp.status, data: resp.data };
 }
 
 /** Small UUID helper without extra deps */
@@ -0,0 +1,217 @@
+// utils/subscriptions.js
+import http from 'http';
+import { http as client, timeouts } from './httpClient.js';
+import { logger } from './logger.js';
+import { readCapabilityStatement, serverRest } from './fhirServer.js';
+
+/**
+ * FHIR Subscriptions (R4 Subscriptions Backport) for encounter-end detection: register a
+ * rest-hook Subscription on the EHR's FHIR server, then receive its notifications on a
+ * local HTTP endpoint instead of polling with date-range searches.
+ */
+
+const BACKPORT = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/';
+export const SUBSCRIPTION_PAYLOADS = ['id-only', 'full-resource'];
+
+/**
+ * The backport Subscription resource to POST.
+ *
+ * @param {object} opts
+ * @param {string} opts.topic              - SubscriptionTopic canonical (criteria)
+ * @param {string} opts.endpoint           - Our public notification URL
+ * @param {string} [opts.payload]          - "id-only" (default) or "full-resource"
+ * @param {string} [opts.filter]           - Backport filter criteria, e.g. "Encounter?class=AMB"
+ * @param {number} [opts.heartbeatSeconds] - Ask for heartbeats this often (0 = none)
+ * @param {string} [opts.secret]           - Sent back to us as "Authorization: Bearer <secret>"
+ */
+export function buildSubscription({ topic, endpoint, payload = 'id-only', filter, heartbeatSeconds, secret }) {
+  return {
+    resourceType: 'Subscription',
+    meta: { profile: [`${BACKPORT}backport-subscription`] },
+    status: 'requested',
+    reason: 'eCR: report encounters when they end',
+    criteria: topic,
+    ...(filter ? { _criteria: { extension: [{ url: `${BACKPORT}backport-filter-criteria`, valueString: filter }] } } : {}),
+    channel: {
+      ...(heartbeatSeconds ? { extension: [{ url: `${BACKPORT}backport-heartbeat-period`, valueUnsignedInt: heartbeatSeconds }] } : {}),
+      type: 'rest-hook',
+      endpoint,
+      payload: 'application/fhir+json',
+      _payload: { extension: [{ url: `${BACKPORT}backport-payload-content`, valueCode: payload }] },
+      ...(secret ? { header: [`Authorization: Bearer ${secret}`] } : {})
+    }
+  };
+}
+
+/**
+ * Read the CapabilityStatement and tell whether the server can create Subscriptions
+ * (and, when it lists its topics, whether it offers `topic`).
+ * @returns {Promise<{ supported: boolean, reason?: string }>}
+ */
+export async function checkSubscriptionSupport({ fhirBase, token, topic }) {
+  const cs = await readCapabilityStatement({ fhirBase, token });
+  const rest = serverRest(cs);
+  const resource = (rest?.resource || []).find(r => r.type === 'Subscription');
+  if (!resource) return { supported: false, reason: 'the CapabilityStatement lists no Subscription resource' };
+  if (resource.interaction && !resource.interaction.some(i => i.code === 'create')) {
+    return { supported: false, reason: 'Subscription create is not supported' };
+  }
+  const topics = [...(rest.extension || []), ...(cs.extension || [])]
+    .filter(e => e.url === `${BACKPORT}capabilitystatement-subscriptiontopic-canonical`)
+    .map(e => e.valueCanonical);
+  if (topics.length && !topics.includes(topic)) {
+    return { supported: false, reason: `topic ${topic} is not offered (server lists ${topics.join(', ')})` };
+  }
+  return { supported: true };
+}
+
+/** POST the Subscription; resolves to the server's copy (with its id). */
+export async function registerSubscription({ fhirBase, token, subscription }) {
+  const r = await client.post(`${fhirBase}/Subscription`, subscription, {
+    headers: { Accept: 'application/fhir+json', 'Content-Type': 'application/fhir+json' },
+    token,
+    timeout: timeouts.submit
+  });
+  if (!r.data?.id) throw new Error(`Subscription create returned no id (HTTP ${r.status})`);
+  return r.data;
+}
+
+export async function deleteSubscription({ fhirBase, token, id }) {
+  await client.delete(`${fhirBase}/Subscription/${id}`, { token, timeout: timeouts.submit });
+}
+
+/**
+ * Read a notification Bundle: its SubscriptionStatus and one event per notification-event
+ * (or per resource entry, for servers that leave notification-event out).
+ *
+ * @returns {{ subscription: string, topic: string, type: string, status: string,
+ *            eventsSinceStart: number|null, events: Array<{ eventNumber: number|null, focus: string|null, resource: object|null }> }}
+ */
+export function parseNotification(bundle) {
+  if (bundle?.resourceType !== 'Bundle') throw new Error('Notification is not a Bundle');
+  const [first, ...rest] = bundle.entry || [];
+  const status = first?.resource;
+  if (status?.resourceType !== 'Parameters') throw new Error('Notification Bundle does not start with a SubscriptionStatus');
+
+  const param = name => (status.parameter || []).find(p => p.name === name);
+  const count = p => (p ? Number(p.valueString ?? p.valueUnsignedInt ?? p.valueInteger64) : null);
+  const resolve = reference => rest.find(e => e.fullUrl === reference
+    || e.fullUrl?.endsWith(`/${reference}`)
+    || (e.resource && `${e.resource.resourceType}/${e.resource.id}` === reference))?.resource ?? null;
+
+  let events = (status.parameter || [])
+    .filter(p => p.name === 'notification-event')
+    .map(p => {
+      const part = name => (p.part || []).find(x => x.name === name);
+      const focus = part('focus')?.valueReference?.reference ?? null;
+      return { eventNumber: count(part('event-number')), focus, resource: focus ? resolve(focus) : null };
+    });
+  if (!events.length) {
+    events = rest.map(e => ({
+      eventNumber: null,
+      focus: e.resource ? `${e.resource.resourceType}/${e.resource.id}` : e.fullUrl ?? null,
+      resource: e.resource ?? null
+    }));
+  }
+
+  return {
+    subscription: param('subscription')?.valueReference?.reference ?? null,
+    topic: param('topic')?.valueCanonical ?? param('topic')?.valueUri ?? null,
+    type: param('type')?.valueCode ?? null,
+    status: param('status')?.valueCode ?? null,
+    eventsSinceStart: count(param('events-since-subscription-start')),
+    events
+  };
+}
+
+// Notifications carry one event or a few resources; anything bigger is refused.
+const MAX_NOTIFICATION_BYTES = 1024 * 1024;
+
+/**
+ * HTTP endpoint the FHIR server posts notifications to. Every POST under `path` is
+ * acknowledged at once (200) and handed to `onNotification(parsed, { route })`, where
+ * `route` is what follows `path` (the tenant, when there are several). With `secret`,
+ * requests without "Authorization: Bearer <secret>" get a 401 before anything else is read.
+ * Malformed paths and Bundles get a 400, bodies over 1 MB a 413.
+ *
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export function startNotificationListener({ host, port, path, secret, onNotification }) {
+  const server = http.createServer((req, res) => {
+    if (secret && req.headers.authorization !== `Bearer ${secret}`) {
+      logger.warn('Notification rejected: bad or missing Authorization', { remote: req.socket.remoteAddress });
+      res.writeHead(401).end();
+      return;
+    }
+    let route;
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      route = pathname === path ? '' : pathname.startsWith(`${path}/`) ? decodeURIComponent(pathname.slice(path.length + 1)) : null;
+    } catch (e) {
+      refuse(res, 400, `Malformed path: ${e.message}`);
+      return;
+    }
+    if (route === null) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' }).end();
+      return;
+    }
+    if (Number(req.headers['content-length']) > MAX_NOTIFICATION_BYTES) {
+      tooLarge(req, res);
+      return;
+    }
+    let raw = '';
+    let size = 0;
+    req.on('data', d => {
+      size += d.length;
+      if (size > MAX_NOTIFICATION_BYTES) tooLarge(req, res);
+      else raw += d;
+    });
+    req.on('end', () => {
+      if (size > MAX_NOTIFICATION_BYTES) return;
+      let parsed;
+      try {
+        parsed = parseNotification(JSON.parse(raw));
+      } catch (e) {
+        refuse(res, 400, e.message);
+        return;
+      }
+      res.writeHead(200).end();
+      onNotification(parsed, { route });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}${path}`;
+      logger.info('Notification listener started', { url });
+      resolve({
+        url,
+        close: () => new Promise(done => {
+          server.close(() => done());
+          server.closeAllConnections?.();
+        })
+      });
+    });
+  });
+}
+
+function refuse(res, status, diagnostics) {
+  logger.warn('Notification rejected', { status, error: diagnostics });
+  res.writeHead(status, { 'Content-Type': 'application/fhir+json' }).end(JSON.stringify({
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code: status === 413 ? 'too-costly' : 'invalid', diagnostics }]
+  }));
+}
+
+// Answer once, then drop the rest of the body without buffering it.
+function tooLarge(req, res) {
+  if (res.headersSent) return;
+  res.setHeader('Connection', 'close');
+  refuse(res, 413, `Notification larger than ${MAX_NOTIFICATION_BYTES} bytes`);
+  req.removeAllListeners('data').resume();
+}
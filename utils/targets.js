@@ -0,0 +1,132 @@
+// utils/targets.js
+import fs from 'fs';
+import { fetchEncountersByDateRange } from './fhirQueries.js';
+import { resolveReferences } from './fhirBatch.js';
+import { mapPool } from './pool.js';
+
+/**
+ * Targeted reprocessing: explicit Encounters and/or Patients to (re)submit, each with
+ * optional launchPatient overrides. A target is
+ *   { encounterId?, patientId?, validationMode?, throttleContext?, tenant? }
+ * An Encounter target is read directly; a Patient-only target stands for all of that
+ * patient's Encounters (within a window only when one is given).
+ */
+
+const COLUMNS = {
+  encounterId: ['encounterid', 'encounter', 'encounter_id'],
+  patientId: ['patientid', 'patient', 'patient_id'],
+  validationMode: ['validationmode', 'validation_mode'],
+  throttleContext: ['throttlecontext', 'throttle_context'],
+  tenant: ['tenant']
+};
+
+// One CSV line; quoted fields may contain commas and "" escapes.
+function csvFields(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+const bareId = v => (v ? v.split('/').pop() : undefined);
+
+/**
+ * Read a targets CSV. The header row names the columns (any order, case-insensitive):
+ * encounterId, patientId, validationMode, throttleContext, tenant. Each row needs an
+ * encounterId or a patientId; "Type/" prefixes are dropped. Blank lines and lines
+ * starting with # are ignored.
+ */
+export function readTargetsFile(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/)
+    .map((text, i) => ({ text: text.trim(), n: i + 1 }))
+    .filter(l => l.text && !l.text.startsWith('#'));
+  if (!lines.length) return [];
+
+  const header = csvFields(lines[0].text).map(h => h.toLowerCase());
+  const index = Object.fromEntries(Object.entries(COLUMNS).map(([key, names]) => [key, header.findIndex(h => names.includes(h))]));
+  if (index.encounterId < 0 && index.patientId < 0) {
+    throw new Error(`${file}: the header row needs an encounterId and/or a patientId column (found: ${header.join(', ')})`);
+  }
+
+  return lines.slice(1).map(({ text, n }) => {
+    const fields = csvFields(text);
+    const value = key => (index[key] >= 0 && fields[index[key]] ? fields[index[key]] : undefined);
+    const target = {
+      encounterId: bareId(value('encounterId')),
+      patientId: bareId(value('patientId')),
+      validationMode: value('validationMode'),
+      throttleContext: value('throttleContext'),
+      tenant: value('tenant')
+    };
+    if (!target.encounterId && !target.patientId) throw new Error(`${file}:${n}: needs an encounterId or a patientId`);
+    return target;
+  });
+}
+
+/**
+ * Fetch the Encounters for `targets` from one FHIR server. Overrides are keyed by Encounter
+ * id; an Encounter's own row beats its patient's row.
+ *
+ * @returns {Promise<{ encounters: object[], overrides: Map<string, { validationMode?: string, throttleContext?: string }>,
+ *                     notFound: object[] }>} `notFound`: targets that matched no Encounter
+ */
+export async function fetchTargetEncounters({ fhirBase, token, targets, status, start, end, dateField, concurrency = 4, batchSize = 50, pageSize = 100 }) {
+  const byEncounter = targets.filter(t => t.encounterId);
+  const byPatient = targets.filter(t => !t.encounterId);
+
+  const found = await resolveReferences({
+    fhirBase, token, resourceType: 'Encounter', refs: [...new Set(byEncounter.map(t => t.encounterId))], chunkSize: batchSize, concurrency
+  });
+  const perPatient = await mapPool(byPatient, concurrency, t =>
+    fetchEncountersByDateRange({ fhirBase, token, start, end, dateField, patientId: t.patientId, status, count: pageSize })
+  );
+
+  const encounters = new Map();
+  const overrides = new Map();
+  const notFound = [];
+  const pick = t => Object.fromEntries(['validationMode', 'throttleContext'].filter(k => t[k] !== undefined).map(k => [k, t[k]]));
+
+  byPatient.forEach((t, i) => {
+    if (!perPatient[i].length) notFound.push(t);
+    for (const enc of perPatient[i]) {
+      encounters.set(enc.id, enc);
+      overrides.set(enc.id, { ...overrides.get(enc.id), ...pick(t) });
+    }
+  });
+  for (const t of byEncounter) {
+    const enc = found.get(t.encounterId);
+    if (!enc) {
+      notFound.push(t);
+      continue;
+    }
+    // An Encounter row naming another patient is almost certainly a mistake in the list.
+    if (t.patientId && enc.subject?.reference && !enc.subject.reference.endsWith(`Patient/${t.patientId}`)) {
+      notFound.push({ ...t, reason: `belongs to ${enc.subject.reference}` });
+      continue;
+    }
+    encounters.set(enc.id, enc);
+    overrides.set(enc.id, { ...overrides.get(enc.id), ...pick(t) });
+  }
+  return { encounters: [...encounters.values()], overrides, notFound };
+}
@@ -0,0 +1,75 @@
+// utils/tokenManager.js
+import { logger } from './logger.js';
+
+/**
+ * Caches an OAuth access token for its `expires_in` and refreshes it shortly before expiry.
+ * Concurrent callers share one in-flight refresh.
+ *
+ * Pass the manager as the `token` of a request made with utils/httpClient.js and the
+ * client will send it as a Bearer token, and on a 401 invalidate it and retry once.
+ *
+ * @param {object} opts
+ * @param {string} opts.name                     - Label for log lines ("FHIR", "eCRNow")
+ * @param {() => Promise<object>} opts.fetchToken - Returns the token endpoint body ({ access_token, expires_in })
+ * @param {number} [opts.refreshSkewSeconds]     - Refresh this many seconds before expiry (default 60)
+ * @param {number} [opts.defaultTtlSeconds]      - Lifetime to assume when expires_in is absent (default 300)
+ * @param {(error: Error, attempt: number) => number|null} [opts.retryDelayMs]
+ *   Call fetchToken again after this many ms when it fails, until it returns null (default: never).
+ *   For token requests that cannot be resent as they are, such as a signed client assertion
+ *   whose jti the server accepts only once.
+ */
+export function createTokenManager({ name, fetchToken, refreshSkewSeconds = 60, defaultTtlSeconds = 300, retryDelayMs }) {
+  let cached = null; // { accessToken, expiresAt, refreshAt } (ms)
+  let inflight = null;
+
+  async function fetchWithRetries() {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchToken();
+      } catch (e) {
+        const wait = retryDelayMs?.(e, attempt);
+        if (wait == null) throw e;
+        logger.warn(`${name} token request failed; retrying`, { status: e.response?.status || e.code, attempt: attempt + 1, waitMs: wait });
+        await new Promise(r => setTimeout(r, wait));
+      }
+    }
+  }
+
+  async function refresh() {
+    const body = await fetchWithRetries();
+    if (!body?.access_token) {
+      throw new Error(`${name} token endpoint did not return access_token`);
+    }
+    const ttl = Number(body.expires_in) > 0 ? Number(body.expires_in) : defaultTtlSeconds;
+    const now = Date.now();
+    // Never let the skew swallow a short-lived token entirely.
+    const skewMs = Math.min(refreshSkewSeconds * 1000, (ttl * 1000) / 2);
+    cached = { accessToken: body.access_token, expiresAt: now + ttl * 1000, refreshAt: now + ttl * 1000 - skewMs };
+    return cached.accessToken;
+  }
+
+  function isFresh() {
+    return cached && Date.now() < cached.refreshAt;
+  }
+
+  return {
+    name,
+
+    async getToken() {
+      if (isFresh()) return cached.accessToken;
+      if (!inflight) {
+        if (cached) logger.info(`${name} token expiring; refreshing`);
+        inflight = refresh().finally(() => {
+          inflight = null;
+        });
+      }
+      return inflight;
+    },
+
+    invalidate() {
+      cached = null;
+    },
+
+    expiresAt: () => cached?.expiresAt ?? null
+  };
+}
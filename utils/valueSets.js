@@ -0,0 +1,102 @@
+// utils/valueSets.js
+import fs from 'fs';
+import { http, timeouts } from './httpClient.js';
+import { logger } from './logger.js';
+
+/**
+ * Trigger codes (e.g. RCTC, Reportable Conditions Trigger Codes) as "system|code" strings,
+ * loaded from a FHIR ValueSet, from a Bundle of ValueSets (the RCTC FHIR export), or from a
+ * terminology server's ValueSet/$expand.
+ */
+
+// Collect codes from expansion.contains (nested) and compose.include[].concept.
+function codesFromValueSet(vs, out) {
+  const walk = contains => {
+    for (const c of contains || []) {
+      if (c.code && c.system && !c.abstract && !c.inactive) out.add(`${c.system}|${c.code}`);
+      walk(c.contains);
+    }
+  };
+  walk(vs?.expansion?.contains);
+  for (const inc of vs?.compose?.include || []) {
+    for (const concept of inc.concept || []) {
+      if (inc.system && concept.code) out.add(`${inc.system}|${concept.code}`);
+    }
+  }
+}
+
+/**
+ * Read trigger codes from a local JSON file holding a ValueSet or a Bundle of ValueSets.
+ * With `valueSetUrl`, only ValueSets whose `url` matches are used.
+ */
+export function loadValueSetFile(file, { valueSetUrl } = {}) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const valueSets = json.resourceType === 'Bundle'
+    ? (json.entry || []).map(e => e.resource).filter(r => r?.resourceType === 'ValueSet')
+    : [json];
+  if (valueSets.some(vs => vs?.resourceType !== 'ValueSet')) {
+    throw new Error(`${file} is not a FHIR ValueSet or Bundle of ValueSets`);
+  }
+
+  const out = new Set();
+  for (const vs of valueSets) {
+    if (valueSetUrl && vs.url !== valueSetUrl) continue;
+    codesFromValueSet(vs, out);
+  }
+  return [...out];
+}
+
+/**
+ * Expand a ValueSet on a terminology server (GET ValueSet/$expand?url=…), paging with
+ * offset/count until expansion.total is reached.
+ *
+ * @param {object} opts
+ * @param {string} opts.terminologyBase      - Terminology server FHIR base (no trailing slash)
+ * @param {string} opts.valueSetUrl          - Canonical URL of the ValueSet
+ * @param {string} [opts.authorization]      - Authorization header value, if the server needs one
+ * @param {number} [opts.pageSize]           - Codes per $expand page (default 1000)
+ */
+export async function expandValueSet({ terminologyBase, valueSetUrl, authorization, pageSize = 1000 }) {
+  const headers = { Accept: 'application/fhir+json' };
+  if (authorization) headers.Authorization = authorization;
+
+  const out = new Set();
+  let offset = 0;
+  for (;;) {
+    const params = new URLSearchParams({ url: valueSetUrl, offset: String(offset), count: String(pageSize) });
+    const vs = await http
+      .get(`${terminologyBase}/ValueSet/$expand?${params.toString()}`, { headers, timeout: timeouts.search })
+      .then(r => r.data);
+    const page = vs?.expansion?.contains || [];
+    codesFromValueSet(vs, out);
+
+    const total = vs?.expansion?.total;
+    offset += page.length;
+    if (page.length === 0 || total == null || offset >= total) break;
+  }
+  logger.info('Expanded ValueSet', { valueSetUrl, codes: out.size });
+  return [...out];
+}
+
+/**
+ * Split codes into CSV chunks whose URL-encoded length stays under `maxChars`,
+ * so each `code=` search parameter fits in a URL or POST body.
+ */
+export function chunkCodes(codes, { maxChars = 1500 } = {}) {
+  const SEP = encodeURIComponent(',').length;
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const code of codes) {
+    const len = encodeURIComponent(code).length;
+    if (current.length && size + SEP + len > maxChars) {
+      chunks.push(current.join(','));
+      current = [];
+      size = 0;
+    }
+    size += (current.length ? SEP : 0) + len;
+    current.push(code);
+  }
+  if (current.length) chunks.push(current.join(','));
+  return chunks;
+}
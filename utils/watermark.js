@@ -0,0 +1,82 @@
+// utils/watermark.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * High-water mark of the last successful run, so the next run only searches
+ * from that point forward (minus an overlap for late-arriving data / clock skew).
+ *
+ * mode:
+ *   "date"         - Encounter.period.end (or period.start) of the fetched encounters
+ *   "lastUpdated"  - Encounter.meta.lastUpdated; searches use _lastUpdated
+ */
+export const WATERMARK_MODES = ['off', 'date', 'lastUpdated'];
+
+export function readWatermark(file, mode) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const wm = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // A watermark taken on a different field is not comparable; start over.
+    return wm?.mode === mode && wm.value ? wm.value : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeWatermark(file, { mode, value }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const body = { mode, value, updatedAt: new Date().toISOString() };
+  fs.writeFileSync(file, JSON.stringify(body, null, 2) + '\n');
+  return body;
+}
+
+/** The timestamp of an Encounter that the watermark tracks, or null if it has none. */
+export function encounterWatermarkDate(enc, mode) {
+  const raw = mode === 'lastUpdated'
+    ? enc?.meta?.lastUpdated
+    : enc?.period?.end || enc?.period?.start;
+  const t = raw ? Date.parse(raw) : NaN;
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+/**
+ * Work out the next watermark from this run's encounters.
+ * Never moves past the earliest encounter that failed, so it is picked up again next run,
+ * and never goes back before `previous`. Leave out of `failedIds` encounters that keep
+ * failing, so they cannot hold it back for good (see WATERMARK_MAX_FAILURES).
+ *
+ * @param {object} opts
+ * @param {string|null} opts.previous        - Watermark the run started from
+ * @param {Array} opts.encounters            - Encounters fetched this run
+ * @param {Set<string>} [opts.failedIds]     - Encounter ids whose submission failed
+ * @param {string} opts.mode                 - "date" | "lastUpdated"
+ * @returns {string|null}
+ */
+export function nextWatermark({ previous, encounters, failedIds = new Set(), mode }) {
+  let value = previous || null;
+  let earliestFailed = null;
+
+  for (const enc of encounters) {
+    const d = encounterWatermarkDate(enc, mode);
+    if (!d) continue;
+    if (failedIds.has(enc.id)) {
+      if (!earliestFailed || d < earliestFailed) earliestFailed = d;
+    } else if (!value || d > value) {
+      value = d;
+    }
+  }
+
+  if (earliestFailed && (!value || earliestFailed < value)) value = earliestFailed;
+  if (previous && value < previous) value = previous;
+  return value;
+}
+
+/**
+ * Search window for this run. Without a watermark, the configured start/end are used as-is;
+ * with one, the window runs from (watermark - overlap) to `now`.
+ */
+export function searchWindow({ watermark, overlapMinutes = 0, start, end, now = new Date() }) {
+  if (!watermark) return { start, end };
+  const from = new Date(Date.parse(watermark) - overlapMinutes * 60 * 1000);
+  return { start: from.toISOString(), end: now.toISOString() };
+}